@@ -15,6 +15,7 @@
  * - variables.js: Companion variable definitions
  * - presets.js: Companion preset definitions
  * - config.js: Module configuration fields
+ * - timing.js: Timing constants (timeouts, intervals) and their config bounds
  * - upgrades.js: Configuration migration scripts
  * 
  * @module companion-module-middleman-adit
@@ -31,31 +32,27 @@ const feedbacks = require('./src/feedbacks')
 const variables = require('./src/variables')
 const presets = require('./src/presets')
 const Engine = require('./src/engine')
+const api = require('./src/api')
+const { getTimingConstants } = require('./src/timing')
 
 /**
- * Timing constants for network operations.
- * Centralized here for visibility and tuning.
- * 
- * @constant {Object}
- * @property {number} HTTP_MANAGER_TIMEOUT - Timeout for manager API requests (ms)
- * @property {number} HTTP_INSTANCE_STATUS_TIMEOUT - Timeout for instance status polls (ms)
- * @property {number} WEBSOCKET_CONNECT_TIMEOUT - Max time to establish WebSocket connection (ms)
- * @property {number} WEBSOCKET_PING_INTERVAL - Interval between WebSocket ping frames (ms)
- * @property {number} WEBSOCKET_PONG_TIMEOUT - Max time to wait for pong response (ms)
- * @property {number} RECONNECT_DELAY - Delay before attempting WebSocket reconnection (ms)
- * @property {number} INSTANCE_STATUS_POLL_INTERVAL - Interval for polling instance status (ms)
- * @property {number} MANAGER_POLL_INTERVAL - Interval for polling manager definitions (ms)
+ * Config fields that change how the engine connects. Changing any of them
+ * restarts the engine so every connection is re-established.
+ *
+ * @constant {string[]}
  */
-const CONSTANTS = {
-  HTTP_MANAGER_TIMEOUT: 2000,
-  HTTP_INSTANCE_STATUS_TIMEOUT: 2000,
-  WEBSOCKET_CONNECT_TIMEOUT: 5000,
-  WEBSOCKET_PING_INTERVAL: 30000,
-  WEBSOCKET_PONG_TIMEOUT: 10000,
-  RECONNECT_DELAY: 3000,
-  INSTANCE_STATUS_POLL_INTERVAL: 1000,
-  MANAGER_POLL_INTERVAL: 5000,
-}
+const RESTART_CONFIG_KEYS = [
+  'manager_ip',
+  'manager_port',
+  'use_tls',
+  'tls_allow_self_signed',
+  'tls_ca_path',
+  'auth_type',
+  'auth_token',
+  'auth_username',
+  'auth_password',
+  'extra_headers',
+]
 
 class ModuleInstance extends InstanceBase {
   constructor(internal) {
@@ -70,6 +67,11 @@ class ModuleInstance extends InstanceBase {
       ...presets,
     })
 
+    // One engine per selected channel, in channel order (see getChannelIds).
+    // this.engine is the first channel's engine, used by actions and
+    // feedbacks saved without a channel and anything else that isn't
+    // channel-aware.
+    this.engines = []
     this.engine = null
   }
 
@@ -104,25 +106,31 @@ class ModuleInstance extends InstanceBase {
    * Called when the user updates configuration.
    *
    * Only restarts the engine if manager connection settings changed.
-   * Other config changes (channel selection, verbose logging) are handled
-   * by the running engine's poll loop, avoiding unnecessary disruption and
-   * race conditions where the UI re-renders before definitions are loaded.
+   * A changed channel selection switches that slot's engine straight away,
+   * so the old channel's instances don't keep receiving commands until the
+   * next (possibly slowed-down) manager poll. Other config changes (verbose
+   * logging, etc.) are read by the running engines as they go.
    *
    * @param {object} config - Updated configuration
    */
   async configUpdated(config) {
     const oldConfig = this.config
+    const oldChannelIds = this.getChannelIds()
     this.config = config
     this._ensureControlInterfaceId()
-
-    // Determine if manager connection settings changed - these require
-    // a full engine restart since we're connecting to a different manager
-    const managerChanged = 
-      oldConfig.manager_ip !== config.manager_ip ||
-      oldConfig.manager_port !== config.manager_port
-
-    if (managerChanged) {
-      // Full restart required - connecting to different manager
+    this._assignChannelNumbers()
+
+    // Determine if connection settings changed - these require a full engine
+    // restart since every open connection was made with the old settings.
+    // Backup manager changes don't: the poll loop re-reads the list each cycle.
+    // A backup list edit also restarts engines that were stopped by, or must
+    // stop for, an invalid address.
+    const connectionChanged =
+      RESTART_CONFIG_KEYS.some((key) => oldConfig[key] !== config[key]) ||
+      (oldConfig.manager_backups !== config.manager_backups && (!this.engine || !!this._getHostConfigError()))
+
+    if (connectionChanged) {
+      // Full restart required - reconnecting with new settings
       this._stopEngine()
       await this._startEngine()
 
@@ -131,11 +139,17 @@ class ModuleInstance extends InstanceBase {
       this.initFeedbacks()
       this.initVariables()
       this.initPresets()
+    } else if (this.engine) {
+      // Timing changes are applied to the running engines' timers
+      const constants = getTimingConstants(config)
+      for (const engine of this.engines) {
+        engine.setConstants(constants)
+      }
+
+      // Adding, removing or switching channels starts, stops or switches
+      // only the engines whose channel changed
+      await this._syncEngines(oldChannelIds)
     }
-    // For other config changes (channel, verbose, etc.), the engine's
-    // existing poll loop will pick them up on the next cycle. This avoids
-    // the race condition where Companion re-renders the config UI before
-    // the engine finishes fetching definitions.
   }
 
   /**
@@ -163,12 +177,30 @@ class ModuleInstance extends InstanceBase {
   }
 
   /**
-   * Starts the engine if minimum configuration is present.
+   * Checks the manager address and backup list. The config field patterns
+   * only check characters, so unbalanced brackets or an impossible IPv6
+   * address get this far.
+   *
+   * @returns {string|null} Error describing the first invalid address, or null
+   */
+  _getHostConfigError() {
+    const { manager_ip, manager_port, manager_backups } = this.config
+    if (!api.isValidHost(api.parseHostPort(manager_ip, manager_port).host)) {
+      return `Invalid manager address: ${manager_ip}`
+    }
+
+    const entries = (manager_backups || '').split(/[\s,]+/).filter((e) => e)
+    const invalid = entries.find((entry) => !api.isValidHost(api.parseHostPort(entry, manager_port).host))
+    return invalid ? `Invalid backup manager address: ${invalid}` : null
+  }
+
+  /**
+   * Starts an engine per selected channel if minimum configuration is present.
    * Engine handles graceful degradation - it will poll for channels even
    * without a channel selected, and maintain existing connections even if
    * manager becomes unreachable.
    *
-   * Returns a promise that resolves after the engine's initial data fetch,
+   * Returns a promise that resolves after the engines' initial data fetch,
    * ensuring definitions are available before callers proceed.
    */
   async _startEngine() {
@@ -177,20 +209,406 @@ class ModuleInstance extends InstanceBase {
       return
     }
 
+    const hostError = this._getHostConfigError()
+    if (hostError) {
+      this.log('error', hostError)
+      this.updateStatus(InstanceStatus.BadConfig, hostError)
+      return
+    }
+
     this.updateStatus(InstanceStatus.Connecting)
+    this._assignChannelNumbers()
+
+    // Always at least one engine, so channels are fetched for the config
+    // dropdown before any channel is selected
+    const constants = getTimingConstants(this.config)
+    const count = Math.max(1, this.getChannelIds().length)
+    for (let slot = 0; slot < count; slot++) {
+      this.engines.push(new Engine(this, constants, slot))
+    }
+    this.engine = this.engines[0]
 
-    this.engine = new Engine(this, CONSTANTS)
-    await this.engine.start()
+    await Promise.all(this.engines.map((engine) => engine.start()))
   }
 
   /**
-   * Stops the engine if running.
+   * Stops all engines.
    */
   _stopEngine() {
-    if (this.engine) {
-      this.engine.stop()
-      this.engine = null
+    for (const engine of this.engines) {
+      engine.stop()
+    }
+    this.engines = []
+    this.engine = null
+  }
+
+  /**
+   * Matches engines to the selected channels after the channel selection
+   * changed. An additional channel that is still selected keeps its running
+   * engine, moved to the channel's new position; engines of removed channels
+   * are stopped and newly selected channels get a new engine. The first
+   * channel's engine always stays first (its variables have no prefix) and
+   * switches channel if the first channel changed.
+   *
+   * @param {string[]} oldChannelIds - Channel GUIDs selected before the change
+   */
+  async _syncEngines(oldChannelIds) {
+    const channelIds = this.getChannelIds()
+    const count = Math.max(1, channelIds.length)
+    const [main, ...others] = this.engines
+
+    // Read each engine's channel from the old selection: engine.channelId
+    // already follows the new config for the engine's current slot
+    const kept = new Map()
+    const removed = []
+    for (const engine of others) {
+      const channelId = oldChannelIds[engine.slot]
+      if (channelId && channelIds.indexOf(channelId) > 0 && !kept.has(channelId)) {
+        kept.set(channelId, engine)
+      } else {
+        removed.push(engine)
+      }
+    }
+
+    for (const engine of removed) {
+      engine.stop()
+    }
+
+    const constants = getTimingConstants(this.config)
+    const engines = [main]
+    const added = []
+    let moved = false
+    for (let slot = 1; slot < count; slot++) {
+      let engine = kept.get(channelIds[slot])
+      if (!engine) {
+        engine = new Engine(this, constants, slot)
+        added.push(engine)
+      } else if (engine.slot !== slot) {
+        engine.slot = slot
+        moved = true
+      }
+      engines.push(engine)
     }
+    this.engines = engines
+
+    const switched = channelIds[0] !== oldChannelIds[0] ? [main] : []
+    if (added.length === 0 && removed.length === 0 && switched.length === 0 && !moved) return
+
+    await Promise.all([
+      ...added.map((engine) => engine.start()),
+      ...switched.map((engine) => engine.switchChannel()),
+    ])
+
+    this.initActions()
+    this.initFeedbacks()
+    this.initVariables()
+    this.initPresets()
+    this.updateEngineStatus()
+  }
+
+  /**
+   * Switches a channel slot to another channel straight away and saves the
+   * selection to config, so it survives restarts.
+   *
+   * @param {string} channelRef - Channel GUID or name
+   * @param {number} [slot=0] - Position in the channel list: 0 is the main
+   *   channel, 1 the first additional channel, and so on
+   */
+  async selectChannel(channelRef, slot = 0) {
+    const engine = this.engines[slot]
+    if (!engine) {
+      this.log('error', `Channel not switched: channel ${slot + 1} is not selected in this connection`)
+      return
+    }
+
+    if ((this.engine?.getChannelDefinitions() ?? []).length === 0) {
+      this.log('error', 'Channel not switched: the channel list has not been fetched from the manager')
+      return
+    }
+
+    const channel = this.findChannel(channelRef)
+    if (!channel) {
+      this.log('error', `Channel not switched: no channel with ID or name "${channelRef}"`)
+      return
+    }
+
+    if (engine.channelId === channel.ID) {
+      if (this.config.verbose) {
+        this.log('debug', `Channel ${channel.Name} is already selected`)
+      }
+      return
+    }
+
+    if (this.getChannelIds().includes(channel.ID)) {
+      this.log('error', `Channel not switched: ${channel.Name} is already selected in this connection`)
+      return
+    }
+
+    if (slot === 0) {
+      this.config.channel = channel.ID
+    } else {
+      const additional = [...(this.config.additional_channels ?? [])]
+      additional[slot - 1] = channel.ID
+      this.config.additional_channels = additional
+    }
+    this._assignChannelNumbers()
+    this.saveConfig(this.config)
+
+    await engine.switchChannel()
+    this.updateEngineStatus()
+  }
+
+  /**
+   * Rebinds a channel slot to the channel that replaced it on the manager:
+   * the one with the same name, found after the slot's channel GUID
+   * disappeared (see Engine._checkChannelMissing). Pins and maintenance move
+   * with it, and rule and variable GUIDs are mapped by name so actions saved
+   * with the old GUIDs keep working.
+   *
+   * @param {number} [slot=0] - Position in the channel list
+   */
+  async rebindChannel(slot = 0) {
+    const engine = this.engines[slot]
+    if (!engine) {
+      this.log('error', `Channel not rebound: channel ${slot + 1} is not selected in this connection`)
+      return
+    }
+
+    const candidate = engine.getRebindCandidate()
+    if (!candidate) {
+      this.log('error', `Channel not rebound: channel ${slot + 1} has no replacement with the same name`)
+      return
+    }
+
+    const oldChannelId = engine.channelId
+    const previous = engine.getDefinitionSnapshot()
+
+    // Settings move before switching so the new channel starts with them,
+    // and move back if selectChannel refuses the switch
+    const movedSettings = engine.moveChannelSettings(candidate.id)
+
+    await this.selectChannel(candidate.id, slot)
+    if (engine.channelId !== candidate.id) {
+      Object.assign(this.config, movedSettings)
+      return
+    }
+
+    this.log('info', `Channel '${candidate.name}' rebound from ${oldChannelId} to ${candidate.id}`)
+    this._addDefinitionAliases(previous, engine)
+  }
+
+  /**
+   * Maps the GUIDs of rules and variables from before a rebind to those with
+   * the same name after it, and saves the map to config.
+   *
+   * @param {{rules: Array, variables: Array}} previous - Definitions before the rebind
+   * @param {Engine} engine - Engine after the rebind
+   */
+  _addDefinitionAliases(previous, engine) {
+    const aliases = this._getDefinitionAliases()
+    let count = 0
+
+    const addAliases = (oldDefinitions, newDefinitions) => {
+      for (const def of oldDefinitions) {
+        const matches = newDefinitions.filter((d) => d.Name === def.Name)
+        if (matches.length !== 1 || matches[0].ID === def.ID) continue
+
+        // Keep earlier aliases pointing at the current GUID
+        for (const [from, to] of Object.entries(aliases)) {
+          if (to === def.ID) aliases[from] = matches[0].ID
+        }
+        aliases[def.ID] = matches[0].ID
+        count++
+      }
+    }
+    addAliases(previous.rules, engine.getManualRuleDefinitions())
+    addAliases(previous.variables, engine.getVariableDefinitions())
+
+    if (count === 0) return
+
+    this.config.definition_aliases = JSON.stringify(aliases)
+    this.saveConfig(this.config)
+    this.log('info', `Mapped ${count} rule and variable IDs to their new IDs by name`)
+  }
+
+  /**
+   * Returns the GUID a rule or variable now has, for actions and feedbacks
+   * saved before their channel was rebound (see rebindChannel).
+   *
+   * @param {string} id - Rule or variable GUID
+   * @returns {string} Current GUID
+   */
+  resolveDefinitionId(id) {
+    return this._getDefinitionAliases()[id] ?? id
+  }
+
+  /**
+   * Parses the definition_aliases config field.
+   *
+   * @returns {Object<string, string>} New GUIDs keyed by old GUID
+   */
+  _getDefinitionAliases() {
+    try {
+      const aliases = JSON.parse(this.config?.definition_aliases || '{}')
+      return aliases && typeof aliases === 'object' && !Array.isArray(aliases) ? aliases : {}
+    } catch {
+      return {}
+    }
+  }
+
+  /**
+   * Finds a channel in the manager's channel list by GUID, or failing that
+   * by name (case-insensitive).
+   *
+   * @param {string} channelRef - Channel GUID or name
+   * @returns {{ID: string, Name: string}|null} Channel definition, or null if not found
+   */
+  findChannel(channelRef) {
+    const ref = String(channelRef ?? '').trim()
+    if (!ref) return null
+
+    const channels = this.engine?.getChannelDefinitions() ?? []
+    return (
+      channels.find((c) => c.ID === ref) ??
+      channels.find((c) => String(c.Name).toLowerCase() === ref.toLowerCase()) ??
+      null
+    )
+  }
+
+  /**
+   * Returns the GUIDs of the selected channels: the main channel first, then
+   * any additional channels, without duplicates.
+   *
+   * @returns {Array<string>} Channel GUIDs
+   */
+  getChannelIds() {
+    const ids = [this.config?.channel, ...(this.config?.additional_channels ?? [])]
+    return ids.filter((id, i) => id && id !== 'none' && ids.indexOf(id) === i)
+  }
+
+  /**
+   * Gives each additional channel a number for its variable prefix (ch2_,
+   * ch3_, ...) that it keeps for as long as it stays selected. Channels
+   * without one get the lowest free number, so connections saved before
+   * numbers were kept get the same prefixes their channels had by position.
+   * Saves the config when the numbers change.
+   */
+  _assignChannelNumbers() {
+    let saved = {}
+    try {
+      const parsed = JSON.parse(this.config.channel_numbers || '{}')
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) saved = parsed
+    } catch {
+      // Corrupted, renumber from scratch
+    }
+
+    const additional = this.getChannelIds().slice(1)
+    const numbers = {}
+    const used = new Set()
+    for (const id of additional) {
+      const number = saved[id]
+      if (Number.isInteger(number) && number >= 2 && !used.has(number)) {
+        numbers[id] = number
+        used.add(number)
+      }
+    }
+    for (const id of additional) {
+      if (numbers[id] !== undefined) continue
+      let number = 2
+      while (used.has(number)) number++
+      numbers[id] = number
+      used.add(number)
+    }
+
+    this.channelNumbers = numbers
+    const json = JSON.stringify(numbers)
+    if (json !== (this.config.channel_numbers || '{}')) {
+      this.config.channel_numbers = json
+      this.saveConfig(this.config)
+    }
+  }
+
+  /**
+   * Returns the number in an additional channel's variable prefix (see
+   * _assignChannelNumbers).
+   *
+   * @param {string} channelId - Channel GUID
+   * @returns {number|undefined} Channel number, or undefined for the first
+   *   channel and channels that aren't selected
+   */
+  getChannelNumber(channelId) {
+    return this.channelNumbers?.[channelId]
+  }
+
+  /**
+   * Returns the engine for a channel. Actions saved before channels could be
+   * chosen have no channel, and use the first channel.
+   *
+   * @param {string} [channelId] - Channel GUID
+   * @returns {Engine|null} The channel's engine, or null if it isn't selected
+   */
+  getEngine(channelId) {
+    if (!channelId) return this.engine
+    return this.engines.find((engine) => engine.channelId === channelId) ?? null
+  }
+
+  /**
+   * Returns the engine an instance is registered with. Instance GUIDs are
+   * unique across channels, so actions that pick an instance need no channel.
+   *
+   * @param {string} instanceId - Instance GUID
+   * @returns {Engine|null} The instance's engine, or null if not registered
+   */
+  getEngineForInstance(instanceId) {
+    return this.engines.find((engine) => engine.instances.has(instanceId)) ?? null
+  }
+
+  /**
+   * Returns the engine whose channel defines an AdIT variable.
+   *
+   * @param {string} variableId - Variable GUID
+   * @returns {Engine|null} The variable's engine, or null if not defined
+   */
+  getEngineForVariable(variableId) {
+    return this.engines.find((engine) => engine.getVariableDefinitions().some((v) => v.ID === variableId)) ?? null
+  }
+
+  /**
+   * Combines every engine's status into the connection status. With a single
+   * channel the engine's status is used as-is; with several, the worst status
+   * wins and each channel's message is shown on its own line.
+   */
+  updateEngineStatus() {
+    const engines = this.engines.filter((engine) => engine.currentStatus)
+    if (engines.length === 0) return
+
+    if (this.engines.length === 1) {
+      this.updateStatus(engines[0].currentStatus, engines[0].currentStatusMessage)
+      return
+    }
+
+    const severity = ['ok', 'warning', 'disconnected']
+    let status = 'ok'
+    for (const engine of engines) {
+      if (severity.indexOf(engine.currentStatus) > severity.indexOf(status)) {
+        status = engine.currentStatus
+      }
+    }
+
+    const message = engines
+      .map((engine) => `${this._getEngineLabel(engine)}: ${engine.currentStatusMessage.replace(/\n/g, '; ')}`)
+      .join('\n')
+    this.updateStatus(status, message)
+  }
+
+  /**
+   * Returns a display label for an engine's channel.
+   *
+   * @param {Engine} engine - Engine
+   * @returns {string} Channel name, or its position when the name is unknown
+   */
+  _getEngineLabel(engine) {
+    return engine.getActiveChannelName() || `Channel ${engine.slot + 1}`
   }
 
   // ---------------------------------------------------------------------------
@@ -224,7 +642,7 @@ class ModuleInstance extends InstanceBase {
       // If a channel is selected but we can't reach manager and have no cache,
       // try to get the name from the persisted cache in config
       if (currentChannelId && currentChannelId !== 'none') {
-        const cachedName = this._getChannelNameFromConfigCache(currentChannelId)
+        const cachedName = this._getStoredChannelName(currentChannelId)
         if (cachedName) {
           return [{ id: currentChannelId, label: `${cachedName} (cached)` }]
         }
@@ -237,35 +655,55 @@ class ModuleInstance extends InstanceBase {
       // No channels yet but manager is reachable - might still be loading
       // Preserve current selection if we have one
       if (currentChannelId && currentChannelId !== 'none') {
-        const cachedName = this._getChannelNameFromConfigCache(currentChannelId)
+        const cachedName = this._getStoredChannelName(currentChannelId)
         const label = cachedName ? `${cachedName} (loading...)` : `(Loading...)`
         return [{ id: currentChannelId, label }]
       }
       return [{ id: 'none', label: 'No channels available' }]
     }
 
-    return [
+    const choices = [
       { id: 'none', label: '(Select a Channel)' },
       ...channels.map((c) => ({ id: c.ID, label: c.Name })),
     ]
+
+    // Selected channel deleted (or recreated with a new GUID) on the manager:
+    // keep it listed by name so the dropdown doesn't show a raw GUID
+    if (currentChannelId && currentChannelId !== 'none' && !channels.some((c) => c.ID === currentChannelId)) {
+      const storedName = this._getStoredChannelName(currentChannelId)
+      choices.push({ id: currentChannelId, label: `${storedName ?? currentChannelId} (missing)` })
+    }
+
+    return choices
   }
 
   /**
-   * Extracts channel name from the persisted definition cache.
-   * Used as fallback when engine hasn't loaded cache into memory yet,
-   * such as during engine restart race conditions.
+   * Returns a channel's name as last seen, from the persisted channel_names
+   * map or failing that the definition cache. Used as fallback when the
+   * manager doesn't list the channel, or the engine hasn't loaded the cache
+   * into memory yet, such as during engine restart race conditions.
    * 
    * @param {string} channelId - Channel GUID to look up
    * @returns {string|null} Channel name or null if not found
    */
-  _getChannelNameFromConfigCache(channelId) {
+  _getStoredChannelName(channelId) {
+    try {
+      const names = JSON.parse(this.config?.channel_names || '{}')
+      if (typeof names?.[channelId] === 'string' && names[channelId]) {
+        return names[channelId]
+      }
+    } catch {
+      // Names corrupted or invalid, fall back to the cache
+    }
+
     if (!this.config?.definition_cache) {
       return null
     }
 
     try {
-      const cache = JSON.parse(this.config.definition_cache)
-      if (cache.channelId === channelId && cache.channelName) {
+      // Caches are keyed by channel GUID
+      const cache = JSON.parse(this.config.definition_cache)[channelId]
+      if (cache?.channelId === channelId && cache.channelName) {
         return cache.channelName
       }
     } catch {
@@ -276,19 +714,68 @@ class ModuleInstance extends InstanceBase {
   }
 
   /**
-   * Returns manual rule choices for action dropdowns.
+   * Returns choices for the additional channels config field: every channel
+   * from the manager, plus any selected channel it no longer lists (named
+   * from the cache where possible) so the selection isn't lost.
+   */
+  getAdditionalChannelChoices() {
+    const choices = this.getChannelChoices().filter((c) => c.id !== 'none')
+    for (const id of this.config?.additional_channels ?? []) {
+      if (!choices.some((c) => c.id === id)) {
+        const cachedName = this._getStoredChannelName(id)
+        choices.push({ id, label: cachedName ? `${cachedName} (cached)` : id })
+      }
+    }
+    return choices
+  }
+
+  /**
+   * Returns the selected channels as choices for action dropdowns.
+   */
+  getSelectedChannelChoices() {
+    return this.engines
+      .filter((engine) => engine.channelId)
+      .map((engine) => ({ id: engine.channelId, label: this._getEngineLabel(engine) }))
+  }
+
+  /**
+   * Returns manual rule choices for action dropdowns, from every selected
+   * channel. Labels name the channel when more than one is selected.
    */
   getManualRuleChoices() {
-    const rules = this.engine?.getManualRuleDefinitions() ?? []
-    return rules.map((r) => ({ id: r.ID, label: r.Name }))
+    return this._getChoicesFromEngines((engine) => engine.getManualRuleDefinitions().map((r) => ({ id: r.ID, label: r.Name })))
   }
 
   /**
-   * Returns variable choices for action dropdowns.
+   * Returns variable choices for action dropdowns, from every selected channel.
    */
   getVariableChoices() {
-    const vars = this.engine?.getVariableDefinitions() ?? []
-    return vars.map((v) => ({ id: v.ID, label: v.Name }))
+    return this._getChoicesFromEngines((engine) => engine.getVariableDefinitions().map((v) => ({ id: v.ID, label: v.Name })))
+  }
+
+  /**
+   * Returns registered instance choices for action dropdowns, in manager order,
+   * from every selected channel.
+   */
+  getInstanceChoices() {
+    return this._getChoicesFromEngines((engine) => engine.getInstancesInOrder().map((s) => ({ id: s.id, label: s.name })))
+  }
+
+  /**
+   * Collects dropdown choices from every engine, prefixing labels with the
+   * channel name when more than one channel is selected.
+   *
+   * @param {function(Engine): Array<{id: string, label: string}>} getChoices - Choices for one engine
+   * @returns {Array<{id: string, label: string}>} Combined choices
+   */
+  _getChoicesFromEngines(getChoices) {
+    const multiple = this.engines.length > 1
+    return this.engines.flatMap((engine) => {
+      const choices = getChoices(engine)
+      if (!multiple) return choices
+      const label = this._getEngineLabel(engine)
+      return choices.map((choice) => ({ id: choice.id, label: `${label}: ${choice.label}` }))
+    })
   }
 }
 
@@ -2,20 +2,137 @@
  * @fileoverview Companion action definitions for controlling AdIT
  * 
  * Defines actions for setting variable values and triggering manual messaging rules. 
- * Actions send XML commands to all connected instances via the engine.
+ * Actions send XML commands via the engine to all connected instances, the
+ * effective primary only, or one specific instance, of the chosen channel.
+ * Also defines operator overrides for pinning the effective primary and
+ * instance maintenance, which find the instance's channel themselves.
  * 
  * @module companion-module-middleman-adit/actions
  */
 const xml2js = require('xml2js')
+const { adjustValue } = require('./adjust')
+
+// Number of variable/value pairs offered by the Set Variables and Evaluate
+// Messaging Rule action
+const BATCH_VARIABLE_COUNT = 5
+
+// Longest delay the Schedule Messaging Rule action accepts, in seconds
+const MAX_SCHEDULE_DELAY = 86400
+
+/**
+ * Works out when a scheduled rule should fire. Times of day and times past
+ * the hour that have already gone today (or this hour) mean the next one.
+ *
+ * @param {'delay'|'time'|'hour'} when - How the time is given
+ * @param {string} value - Seconds, HH:MM[:SS] local time, or MM:SS past the hour
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number|null} When to fire (ms timestamp), or null if the value isn't valid
+ */
+function getScheduleTime(when, value, now = Date.now()) {
+	const text = String(value ?? '').trim()
+
+	if (when === 'delay') {
+		const seconds = Number(text)
+		if (text === '' || !Number.isFinite(seconds) || seconds < 0 || seconds > MAX_SCHEDULE_DELAY) return null
+		return now + Math.round(seconds * 1000)
+	}
+
+	const parts = text.split(':')
+	if (!parts.every((part) => /^\d{1,2}$/.test(part))) return null
+	const date = new Date(now)
+
+	if (when === 'hour') {
+		if (parts.length !== 2) return null
+		const [minutes, seconds] = parts.map(Number)
+		if (minutes > 59 || seconds > 59) return null
+		date.setMinutes(minutes, seconds, 0)
+		if (date.getTime() <= now) date.setHours(date.getHours() + 1)
+		return date.getTime()
+	}
+
+	if (parts.length < 2 || parts.length > 3) return null
+	const [hours, minutes, seconds = 0] = parts.map(Number)
+	if (hours > 23 || minutes > 59 || seconds > 59) return null
+	date.setHours(hours, minutes, seconds, 0)
+	if (date.getTime() <= now) date.setDate(date.getDate() + 1)
+	return date.getTime()
+}
 
 module.exports = {
 	initActions() {
 		let self = this
 
+		// Shared by every action that sends a command to AdIT. The channel
+		// choice is only shown when more than one channel is selected.
+		const channelChoices = self.getSelectedChannelChoices()
+		const channelOption = {
+			type: 'dropdown',
+			id: 'channel',
+			label: 'Channel',
+			width: 12,
+			choices: channelChoices,
+			default: channelChoices[0]?.id ?? '',
+			isVisible: (options, data) => data.multiple,
+			isVisibleData: { multiple: channelChoices.length > 1 },
+		}
+
+		// Channel slots for actions that change which channel a slot holds
+		const slotChoices = self.engines.map((engine) => ({
+			id: engine.slot,
+			label: `Channel ${engine.slot + 1}${engine.channelId ? ` (${self._getEngineLabel(engine)})` : ''}`,
+		}))
+
+		// Shared by actions that fire a messaging rule, see Engine.guardRuleFire
+		const armOption = {
+			type: 'checkbox',
+			id: 'arm',
+			label: 'Arm First (Press Twice to Fire)',
+			tooltip:
+				'The first press arms the rule and the second fires it. Unfired rules disarm after the Arm Timeout in the connection config.',
+			width: 6,
+			default: false,
+		}
+
+		const targetOptions = [
+			{
+				type: 'dropdown',
+				id: 'target',
+				label: 'Send To',
+				width: 6,
+				default: 'all',
+				choices: [
+					{ id: 'all', label: 'All connected instances' },
+					{ id: 'primary', label: 'Effective primary only' },
+					{ id: 'instance', label: 'Specific instance' },
+				],
+			},
+			{
+				type: 'dropdown',
+				id: 'instance',
+				label: 'Instance',
+				width: 6,
+				choices: self.getInstanceChoices(),
+				default: self.getInstanceChoices()[0]?.id ?? '',
+				isVisible: (options) => options.target === 'instance',
+			},
+		]
+
 		self.setActionDefinitions({
 			set_variable_value: {
 				name: 'Set Variable Value',
 				options: [
+					channelOption,
+					{
+						type: 'dropdown',
+						id: 'mode',
+						label: 'Select By',
+						width: 6,
+						default: 'list',
+						choices: [
+							{ id: 'list', label: 'Variable list' },
+							{ id: 'name', label: 'Variable name' },
+						],
+					},
 					{
 						type: 'dropdown',
 						id: 'variable',
@@ -23,32 +140,238 @@ module.exports = {
 						width: 6,
 						choices: self.getVariableChoices(),
 						required: true,
+						isVisible: (options) => options.mode !== 'name',
 					},
 					{
+						type: 'textinput',
+						id: 'variable_name',
+						label: 'Variable Name',
+						tooltip: 'Looked up in the channel when the action runs (not case-sensitive). Variables are supported.',
+						width: 6,
+						default: '',
+						useVariables: true,
+						isVisible: (options) => options.mode === 'name',
+					},
+					{
+						// Free text until the manager's variable schema is known: the
+						// definitions fetchVariables returns have only been seen with
+						// ID and Name, so there are no allowed values or type to offer
+						// as a dropdown yet
 						type: 'textinput',
 						label: 'Value',
 						id: 'value',
 						default: '',
 						useVariables: true,
 					},
+					...targetOptions,
 				],
 				callback: async (action) => {
-					self.log(
-						'debug',
-						`Sending request to set variable: ${action.options.variable} to value: ${action.options.value}`,
-					)
+					let variableId = await self.getActionDefinitionId(action.options, 'variable')
+					if (!variableId) return
+
+					self.log('debug', `Sending request to set variable: ${variableId} to value: ${action.options.value}`)
 
 					// Construct XML request to set variable value
 					let val = await self.parseVariablesInString(action.options.value)
 
-					let obj = { SetVariableValueRequest: { $: { ID: action.options.variable }, _: val } }
+					let obj = { SetVariableValueRequest: { $: { ID: variableId }, _: val } }
 
 					let builder = new xml2js.Builder()
 					let xml = builder.buildObject(obj)
 
-					// Send XML to AdIT instance via Control Interface WebSocket
-					// Uses the class method from index.js which delegates to engine.sendToAllInstances()
-					self.sendMessage(xml + '\r\n')
+					// Send XML to AdIT instance(s) via Control Interface WebSocket
+					self.sendMessage(
+						xml + '\r\n',
+						action.options.target,
+						action.options.instance,
+						{
+							type: 'SetVariableValueRequest',
+							id: variableId,
+						},
+						action.options.channel,
+					)
+
+					// Log the message if verbose logging is enabled
+					if (self.config.verbose) {
+						self.log('debug', `AdIT control interface message sent: ${xml}`)
+					}
+				},
+				learn: async (action) => {
+					let variableId = await self.getActionDefinitionId(action.options, 'variable', 'Cannot learn value')
+					if (!variableId) return undefined
+
+					let engine = self.getEngineForVariable(variableId) ?? self.getEngine(action.options.channel)
+					let current = engine?.getVariableValue(variableId)
+					if (current === undefined) {
+						self.log('warn', `Cannot learn ${variableId}: no value received from the effective primary yet`)
+						return undefined
+					}
+
+					return { ...action.options, value: String(current) }
+				},
+			},
+			adjust_variable_value: {
+				name: 'Adjust Variable Value',
+				description:
+					'Set a variable relative to the value last received from the effective primary: add, subtract, toggle, cycle or append',
+				options: [
+					channelOption,
+					{
+						type: 'dropdown',
+						id: 'mode',
+						label: 'Select By',
+						width: 6,
+						default: 'list',
+						choices: [
+							{ id: 'list', label: 'Variable list' },
+							{ id: 'name', label: 'Variable name' },
+						],
+					},
+					{
+						type: 'dropdown',
+						id: 'variable',
+						label: 'Variable',
+						width: 6,
+						choices: self.getVariableChoices(),
+						required: true,
+						isVisible: (options) => options.mode !== 'name',
+					},
+					{
+						type: 'textinput',
+						id: 'variable_name',
+						label: 'Variable Name',
+						tooltip: 'Looked up in the channel when the action runs (not case-sensitive). Variables are supported.',
+						width: 6,
+						default: '',
+						useVariables: true,
+						isVisible: (options) => options.mode === 'name',
+					},
+					{
+						type: 'dropdown',
+						id: 'operation',
+						label: 'Operation',
+						width: 6,
+						default: 'add',
+						choices: [
+							{ id: 'add', label: 'Add' },
+							{ id: 'subtract', label: 'Subtract' },
+							{ id: 'toggle', label: 'Toggle between two values' },
+							{ id: 'cycle', label: 'Cycle through a list' },
+							{ id: 'append', label: 'Append text' },
+						],
+					},
+					{
+						type: 'textinput',
+						id: 'amount',
+						label: 'Amount',
+						width: 6,
+						default: '1',
+						useVariables: true,
+						isVisible: (options) => options.operation === 'add' || options.operation === 'subtract',
+					},
+					{
+						type: 'textinput',
+						id: 'min',
+						label: 'Minimum',
+						tooltip: 'Optional. The result is never lower than this.',
+						width: 3,
+						default: '',
+						useVariables: true,
+						isVisible: (options) => options.operation === 'add' || options.operation === 'subtract',
+					},
+					{
+						type: 'textinput',
+						id: 'max',
+						label: 'Maximum',
+						tooltip: 'Optional. The result is never higher than this.',
+						width: 3,
+						default: '',
+						useVariables: true,
+						isVisible: (options) => options.operation === 'add' || options.operation === 'subtract',
+					},
+					{
+						type: 'textinput',
+						id: 'value_a',
+						label: 'Value A',
+						tooltip: 'Set when the current value is anything other than Value A',
+						width: 6,
+						default: 'true',
+						useVariables: true,
+						isVisible: (options) => options.operation === 'toggle',
+					},
+					{
+						type: 'textinput',
+						id: 'value_b',
+						label: 'Value B',
+						tooltip: 'Set when the current value is Value A',
+						width: 6,
+						default: 'false',
+						useVariables: true,
+						isVisible: (options) => options.operation === 'toggle',
+					},
+					{
+						type: 'textinput',
+						id: 'values',
+						label: 'Values',
+						tooltip:
+							'Comma-separated. Each press sets the value after the current one, wrapping around; a current value not in the list moves to the first.',
+						width: 12,
+						default: '',
+						useVariables: true,
+						isVisible: (options) => options.operation === 'cycle',
+					},
+					{
+						type: 'textinput',
+						id: 'text',
+						label: 'Text',
+						width: 6,
+						default: '',
+						useVariables: true,
+						isVisible: (options) => options.operation === 'append',
+					},
+					...targetOptions,
+				],
+				callback: async (action) => {
+					let variableId = await self.getActionDefinitionId(action.options, 'variable')
+					if (!variableId) return
+
+					let engine = self.getEngineForVariable(variableId) ?? self.getEngine(action.options.channel)
+					let current = engine?.getVariableValue(variableId)
+					if (current === undefined) {
+						self.log(
+							'error',
+							`Not sent: current value of ${variableId} is unknown, no value received from the effective primary yet`,
+						)
+						return
+					}
+
+					let parsed = {}
+					for (const id of ['amount', 'min', 'max', 'value_a', 'value_b', 'values', 'text']) {
+						parsed[id] = await self.parseVariablesInString(action.options[id] ?? '')
+					}
+
+					let { value, error } = adjustValue(action.options.operation, String(current), parsed)
+					if (error) {
+						self.log('error', `Not sent: ${error}`)
+						return
+					}
+
+					self.log('debug', `Sending request to set variable: ${variableId} from ${current} to value: ${value}`)
+
+					let obj = { SetVariableValueRequest: { $: { ID: variableId }, _: value } }
+					let builder = new xml2js.Builder()
+					let xml = builder.buildObject(obj)
+
+					self.sendMessage(
+						xml + '\r\n',
+						action.options.target,
+						action.options.instance,
+						{
+							type: 'SetVariableValueRequest',
+							id: variableId,
+						},
+						action.options.channel,
+					)
 
 					// Log the message if verbose logging is enabled
 					if (self.config.verbose) {
@@ -59,6 +382,18 @@ module.exports = {
 			evaluate_manual_rule: {
 				name: 'Evaluate Messaging Rule',
 				options: [
+					channelOption,
+					{
+						type: 'dropdown',
+						id: 'mode',
+						label: 'Select By',
+						width: 6,
+						default: 'list',
+						choices: [
+							{ id: 'list', label: 'Messaging rule list' },
+							{ id: 'name', label: 'Messaging rule name' },
+						],
+					},
 					{
 						type: 'dropdown',
 						id: 'messaging_rule',
@@ -67,19 +402,45 @@ module.exports = {
 						width: 6,
 						choices: self.getManualRuleChoices(),
 						required: true,
+						isVisible: (options) => options.mode !== 'name',
+					},
+					{
+						type: 'textinput',
+						id: 'messaging_rule_name',
+						label: 'Messaging Rule Name',
+						tooltip:
+							'Name of a Manual messaging rule, looked up in the channel when the action runs (not case-sensitive). Variables are supported.',
+						width: 6,
+						default: '',
+						useVariables: true,
+						isVisible: (options) => options.mode === 'name',
 					},
+					armOption,
+					...targetOptions,
 				],
-				callback: (action) => {
-					self.log('debug', `Sending request to evaluate messaging rule: ${action.options.messaging_rule}`)
+				callback: async (action) => {
+					let ruleId = await self.getActionDefinitionId(action.options, 'rule')
+					if (!ruleId) return
+
+					self.log('debug', `Sending request to evaluate messaging rule: ${ruleId}`)
 
 					// Construct XML request to evaluate manual rule
-					let obj = { EvaluateManualMessagingRuleRequest: { $: { ID: action.options.messaging_rule } } }
+					let obj = { EvaluateManualMessagingRuleRequest: { $: { ID: ruleId } } }
 					let builder = new xml2js.Builder()
 					let xml = builder.buildObject(obj)
 
-					// Send XML to AdIT instance via Control Interface WebSocket
-					// Uses the class method from index.js which delegates to engine.sendToAllInstances()
-					self.sendMessage(xml + '\r\n')
+					// Send XML to AdIT instance(s) via Control Interface WebSocket
+					self.sendMessage(
+						xml + '\r\n',
+						action.options.target,
+						action.options.instance,
+						{
+							type: 'EvaluateManualMessagingRuleRequest',
+							id: ruleId,
+						},
+						action.options.channel,
+						action.options.arm,
+					)
 
 					// Log the message if verbose logging is enabled
 					if (self.config.verbose) {
@@ -87,19 +448,560 @@ module.exports = {
 					}
 				},
 			},
+			set_variables_and_evaluate_rule: {
+				name: 'Set Variables and Evaluate Messaging Rule',
+				description:
+					'Sets up to five variables, then fires a rule, sent in that order to each instance. Nothing is sent if an instance is not connected.',
+				options: [
+					channelOption,
+					...Array.from({ length: BATCH_VARIABLE_COUNT }, (_, i) => [
+						{
+							type: 'dropdown',
+							id: `variable_${i + 1}`,
+							label: `Variable ${i + 1}`,
+							width: 6,
+							default: 'none',
+							choices: [{ id: 'none', label: '(None)' }, ...self.getVariableChoices()],
+						},
+						{
+							type: 'textinput',
+							id: `value_${i + 1}`,
+							label: `Value ${i + 1}`,
+							width: 6,
+							default: '',
+							useVariables: true,
+							isVisible: (options, data) => options[`variable_${data.index}`] !== 'none',
+							isVisibleData: { index: i + 1 },
+						},
+					]).flat(),
+					{
+						type: 'dropdown',
+						id: 'mode',
+						label: 'Select Rule By',
+						width: 6,
+						default: 'list',
+						choices: [
+							{ id: 'list', label: 'Messaging rule list' },
+							{ id: 'name', label: 'Messaging rule name' },
+						],
+					},
+					{
+						type: 'dropdown',
+						id: 'messaging_rule',
+						label: 'Messaging Rule',
+						tooltip: 'Only messaging rules with rule type Manual will appear in this list.',
+						width: 6,
+						choices: self.getManualRuleChoices(),
+						required: true,
+						isVisible: (options) => options.mode !== 'name',
+					},
+					{
+						type: 'textinput',
+						id: 'messaging_rule_name',
+						label: 'Messaging Rule Name',
+						tooltip:
+							'Name of a Manual messaging rule, looked up in the channel when the action runs (not case-sensitive). Variables are supported.',
+						width: 6,
+						default: '',
+						useVariables: true,
+						isVisible: (options) => options.mode === 'name',
+					},
+					armOption,
+					...targetOptions,
+				],
+				callback: async (action) => {
+					let ruleId = await self.getActionDefinitionId(action.options, 'rule')
+					if (!ruleId) return
+
+					let builder = new xml2js.Builder()
+					let steps = []
+
+					// Variable sets in option order, then the rule
+					for (let i = 1; i <= BATCH_VARIABLE_COUNT; i++) {
+						let variable = action.options[`variable_${i}`]
+						if (!variable || variable === 'none') continue
+
+						let variableId = self.resolveDefinitionId(variable)
+						let val = await self.parseVariablesInString(action.options[`value_${i}`] ?? '')
+						let obj = { SetVariableValueRequest: { $: { ID: variableId }, _: val } }
+						steps.push({
+							message: builder.buildObject(obj) + '\r\n',
+							command: { type: 'SetVariableValueRequest', id: variableId },
+						})
+					}
+
+					let obj = { EvaluateManualMessagingRuleRequest: { $: { ID: ruleId } } }
+					steps.push({
+						message: builder.buildObject(obj) + '\r\n',
+						command: { type: 'EvaluateManualMessagingRuleRequest', id: ruleId },
+					})
+
+					self.log('debug', `Sending batch of ${steps.length - 1} variable sets and messaging rule: ${ruleId}`)
+
+					await self.sendBatch(
+						steps,
+						action.options.target,
+						action.options.instance,
+						action.options.channel,
+						action.options.arm,
+					)
+
+					// Log the messages if verbose logging is enabled
+					if (self.config.verbose) {
+						self.log('debug', `AdIT control interface batch: ${steps.map((step) => step.message.trim()).join(' ')}`)
+					}
+				},
+			},
+			schedule_rule: {
+				name: 'Schedule Messaging Rule',
+				description:
+					'Fire a rule after a delay or at a time of day. Scheduled rules can be cancelled, and are dropped if the connection restarts.',
+				options: [
+					channelOption,
+					{
+						type: 'dropdown',
+						id: 'mode',
+						label: 'Select By',
+						width: 6,
+						default: 'list',
+						choices: [
+							{ id: 'list', label: 'Messaging rule list' },
+							{ id: 'name', label: 'Messaging rule name' },
+						],
+					},
+					{
+						type: 'dropdown',
+						id: 'messaging_rule',
+						label: 'Messaging Rule',
+						tooltip: 'Only messaging rules with rule type Manual will appear in this list.',
+						width: 6,
+						choices: self.getManualRuleChoices(),
+						required: true,
+						isVisible: (options) => options.mode !== 'name',
+					},
+					{
+						type: 'textinput',
+						id: 'messaging_rule_name',
+						label: 'Messaging Rule Name',
+						tooltip:
+							'Name of a Manual messaging rule, looked up in the channel when the action runs (not case-sensitive). Variables are supported.',
+						width: 6,
+						default: '',
+						useVariables: true,
+						isVisible: (options) => options.mode === 'name',
+					},
+					{
+						type: 'dropdown',
+						id: 'when',
+						label: 'When',
+						width: 6,
+						default: 'delay',
+						choices: [
+							{ id: 'delay', label: 'After a delay' },
+							{ id: 'time', label: 'At a time of day' },
+							{ id: 'hour', label: 'At a time past the hour' },
+						],
+					},
+					{
+						type: 'textinput',
+						id: 'delay',
+						label: 'Delay (seconds)',
+						tooltip: `Decimals are allowed, up to ${MAX_SCHEDULE_DELAY} seconds. Variables are supported.`,
+						width: 6,
+						default: '10',
+						useVariables: true,
+						isVisible: (options) => options.when === 'delay',
+					},
+					{
+						type: 'textinput',
+						id: 'time',
+						label: 'Time (HH:MM:SS)',
+						tooltip:
+							'24-hour local time. A time that has already passed today means tomorrow. Variables are supported.',
+						width: 6,
+						default: '00:00:00',
+						useVariables: true,
+						isVisible: (options) => options.when === 'time',
+					},
+					{
+						type: 'textinput',
+						id: 'past_hour',
+						label: 'Minutes:Seconds Past the Hour',
+						tooltip:
+							'E.g. 00:00 for the top of the next hour, 29:50 for ten seconds before the half hour. Variables are supported.',
+						width: 6,
+						default: '00:00',
+						useVariables: true,
+						isVisible: (options) => options.when === 'hour',
+					},
+					...targetOptions,
+				],
+				callback: async (action) => {
+					let ruleId = await self.getActionDefinitionId(action.options, 'rule')
+					if (!ruleId) return
+
+					let command = { type: 'EvaluateManualMessagingRuleRequest', id: ruleId }
+					let engine = self._getEngineForCommands([command], action.options.channel)
+					if (!engine) return
+
+					let option = { delay: 'delay', time: 'time', hour: 'past_hour' }[action.options.when] ?? 'delay'
+					let value = await self.parseVariablesInString(action.options[option] ?? '')
+					let at = getScheduleTime(action.options.when ?? 'delay', value)
+					if (at === null) {
+						self.log('error', `Rule not scheduled: "${value}" is not a valid ${option.replace('_', ' ')}`)
+						return
+					}
+
+					let builder = new xml2js.Builder()
+					let xml = builder.buildObject({ EvaluateManualMessagingRuleRequest: { $: { ID: ruleId } } })
+
+					engine.scheduleRule({
+						message: xml + '\r\n',
+						command,
+						target: action.options.target,
+						instanceId: action.options.instance,
+						at,
+					})
+				},
+			},
+			cancel_scheduled_rule: {
+				name: 'Cancel Scheduled Messaging Rule',
+				description: 'Cancel pending scheduled evaluations of a rule, or of every rule',
+				options: [
+					{
+						type: 'dropdown',
+						id: 'messaging_rule',
+						label: 'Messaging Rule',
+						width: 6,
+						default: 'all',
+						choices: [{ id: 'all', label: 'All scheduled rules' }, ...self.getManualRuleChoices()],
+					},
+				],
+				callback: (action) => {
+					const ruleId =
+						action.options.messaging_rule === 'all'
+							? undefined
+							: self.resolveDefinitionId(action.options.messaging_rule)
+
+					let count = 0
+					for (const engine of self.engines) {
+						count += engine.cancelScheduled(ruleId)
+					}
+					if (count === 0 && self.config.verbose) {
+						self.log('debug', 'No scheduled rules to cancel')
+					}
+				},
+			},
+			pin_primary: {
+				name: 'Pin Effective Primary',
+				description: 'Use this instance as effective primary whenever it is connected, regardless of AdIT Primary flags',
+				options: [
+					{
+						type: 'dropdown',
+						id: 'instance',
+						label: 'Instance',
+						width: 6,
+						choices: self.getInstanceChoices(),
+						default: self.getInstanceChoices()[0]?.id ?? '',
+					},
+				],
+				callback: (action) => {
+					const engine = self.getEngineForInstance(action.options.instance) ?? self.engine
+					engine?.pinPrimary(action.options.instance)
+				},
+			},
+			unpin_primary: {
+				name: 'Unpin Effective Primary',
+				description: 'Return to automatic primary selection',
+				options: [],
+				callback: () => {
+					for (const engine of self.engines) {
+						engine.unpinPrimary()
+					}
+				},
+			},
+			set_maintenance: {
+				name: 'Instance Maintenance Mode',
+				description:
+					'An instance in maintenance is never elected primary and is skipped when sending to all instances',
+				options: [
+					{
+						type: 'dropdown',
+						id: 'instance',
+						label: 'Instance',
+						width: 6,
+						choices: self.getInstanceChoices(),
+						default: self.getInstanceChoices()[0]?.id ?? '',
+					},
+					{
+						type: 'dropdown',
+						id: 'mode',
+						label: 'Mode',
+						width: 6,
+						default: 'enter',
+						choices: [
+							{ id: 'enter', label: 'Enter maintenance' },
+							{ id: 'leave', label: 'Leave maintenance' },
+							{ id: 'toggle', label: 'Toggle' },
+						],
+					},
+				],
+				callback: (action) => {
+					const instanceId = action.options.instance
+					const engine = self.getEngineForInstance(instanceId) ?? self.engine
+					if (!engine) return
+
+					let enabled = action.options.mode === 'enter'
+					if (action.options.mode === 'toggle') {
+						enabled = !engine.isInMaintenance(instanceId)
+					}
+					engine.setMaintenance(instanceId, enabled)
+				},
+			},
+			reconnect_now: {
+				name: 'Reconnect Now',
+				description: 'Reconnects a disconnected instance immediately instead of waiting for the next retry',
+				options: [
+					{
+						type: 'dropdown',
+						id: 'instance',
+						label: 'Instance',
+						width: 6,
+						choices: [{ id: 'all', label: 'All disconnected instances' }, ...self.getInstanceChoices()],
+						default: 'all',
+					},
+				],
+				callback: (action) => {
+					if (action.options.instance === 'all') {
+						for (const engine of self.engines) {
+							engine.reconnectNow()
+						}
+						return
+					}
+
+					const engine = self.getEngineForInstance(action.options.instance) ?? self.engine
+					engine?.reconnectNow(action.options.instance)
+				},
+			},
+			select_channel: {
+				name: 'Select Channel',
+				description: 'Switch to another AdIT channel immediately. The selection is saved to the connection config.',
+				options: [
+					{
+						type: 'dropdown',
+						id: 'mode',
+						label: 'Select By',
+						width: 6,
+						default: 'list',
+						choices: [
+							{ id: 'list', label: 'Channel list' },
+							{ id: 'text', label: 'Channel ID or name' },
+						],
+					},
+					{
+						type: 'dropdown',
+						id: 'channel',
+						label: 'Channel',
+						width: 6,
+						choices: self.getChannelChoices().filter((c) => c.id !== 'none'),
+						default: self.config?.channel ?? '',
+						isVisible: (options) => options.mode === 'list',
+					},
+					{
+						type: 'textinput',
+						id: 'channel_text',
+						label: 'Channel ID or Name',
+						tooltip: 'Channel GUID, or its name (not case-sensitive). Variables are supported.',
+						width: 6,
+						default: '',
+						useVariables: true,
+						isVisible: (options) => options.mode === 'text',
+					},
+					{
+						type: 'dropdown',
+						id: 'slot',
+						label: 'Replace',
+						width: 6,
+						choices: slotChoices,
+						default: 0,
+						isVisible: (options, data) => data.multiple,
+						isVisibleData: { multiple: slotChoices.length > 1 },
+					},
+				],
+				callback: async (action) => {
+					const channelRef =
+						action.options.mode === 'text'
+							? await self.parseVariablesInString(action.options.channel_text ?? '')
+							: action.options.channel
+
+					await self.selectChannel(channelRef, Number(action.options.slot ?? 0))
+				},
+			},
+			rebind_channel: {
+				name: 'Rebind Channel',
+				description:
+					'Switch to the channel with the same name after the selected channel was deleted and recreated on the manager',
+				options: [
+					{
+						type: 'dropdown',
+						id: 'slot',
+						label: 'Channel',
+						width: 6,
+						choices: slotChoices,
+						default: 0,
+						isVisible: (options, data) => data.multiple,
+						isVisibleData: { multiple: slotChoices.length > 1 },
+					},
+				],
+				callback: async (action) => {
+					await self.rebindChannel(Number(action.options.slot ?? 0))
+				},
+			},
 		})
 	},
 
 	/**
-	 * Sends a message to all connected AdIT instances.
-	 * Delegates to engine.sendToAllInstances() which uses the Map-based
-	 * architecture for reliable instance tracking.
+	 * Returns the GUID of the messaging rule or variable an action refers to.
+	 * When the action selects by name, the name is looked up in the channel's
+	 * current definitions each time it runs, so a rule rebuilt in the manager
+	 * with a new GUID is still found. An exact match wins over a
+	 * case-insensitive one.
+	 *
+	 * @param {object} options - Action options
+	 * @param {'rule'|'variable'} type - What the action refers to
+	 * @param {string} [failurePrefix] - Start of the error logged when the name doesn't resolve
+	 * @returns {Promise<string|null>} GUID, or null (logged) when the name doesn't resolve
+	 */
+	async getActionDefinitionId(options, type, failurePrefix = 'Not sent') {
+		const idOption = type === 'rule' ? 'messaging_rule' : 'variable'
+		if (options.mode !== 'name') {
+			return this.resolveDefinitionId(options[idOption])
+		}
+
+		const label = type === 'rule' ? 'messaging rule' : 'variable'
+		const name = (await this.parseVariablesInString(options[`${idOption}_name`] ?? '')).trim()
+		if (!name) {
+			this.log('error', `${failurePrefix}: no ${label} name given`)
+			return null
+		}
+
+		const engine = this.getEngine(options.channel)
+		if (!engine) {
+			this.log('error', `${failurePrefix}: channel ${options.channel} is not selected in this connection`)
+			return null
+		}
+
+		const definitions = type === 'rule' ? engine.getManualRuleDefinitions() : engine.getVariableDefinitions()
+		let matches = definitions.filter((d) => d.Name === name)
+		if (matches.length === 0) {
+			matches = definitions.filter((d) => String(d.Name).toLowerCase() === name.toLowerCase())
+		}
+
+		const channelName = engine.getActiveChannelName() || options.channel || 'the selected channel'
+		if (matches.length === 0) {
+			this.log('error', `${failurePrefix}: no ${label} named "${name}" in channel ${channelName}`)
+			return null
+		}
+		if (matches.length > 1) {
+			this.log('error', `${failurePrefix}: ${matches.length} ${label}s are named "${name}" in channel ${channelName}`)
+			return null
+		}
+
+		return matches[0].ID
+	},
+
+	/**
+	 * Sends a message to the AdIT instance(s) selected by an action's target.
+	 * Actions saved before targets existed have no target option and keep
+	 * sending to all connected instances.
+	 *
+	 * The rule or variable must belong to the chosen channel, see
+	 * _getEngineForCommands.
 	 *
 	 * @param {string} msg - XML message to send
+	 * @param {'all'|'primary'|'instance'} [target='all'] - Which instance(s) to send to
+	 * @param {string} [instanceId] - Instance GUID when target is 'instance'
+	 * @param {{type: string, id: string}} [command] - Request type and target ID,
+	 *   used by the engine to correlate responses from each instance
+	 * @param {string} [channelId] - Channel GUID; omit for the first channel
+	 * @param {boolean} [requireArm=false] - For rules, whether the rule must be
+	 *   armed by an earlier press before it fires (see Engine.guardRuleFire)
 	 */
-	sendMessage(msg) {
-		if (this.engine) {
-			this.engine.sendToAllInstances(msg)
+	sendMessage(msg, target = 'all', instanceId, command, channelId, requireArm = false) {
+		if (!this.engine) return
+
+		const engine = this._getEngineForCommands([command], channelId)
+		if (!engine) return
+
+		if (command?.type === 'EvaluateManualMessagingRuleRequest' && !engine.guardRuleFire(command.id, requireArm)) {
+			return
+		}
+
+		if (target === 'primary') {
+			engine.sendToEffectivePrimary(msg, command)
+		} else if (target === 'instance') {
+			engine.sendToInstance(instanceId, msg, command)
+		} else {
+			engine.sendToAllInstances(msg, command)
 		}
 	},
+
+	/**
+	 * Sends variable sets and a rule evaluation as one ordered batch, see
+	 * Engine.sendBatch.
+	 *
+	 * @param {Array<{message: string, command: {type: string, id: string}}>} steps -
+	 *   XML messages in send order; the last is the rule
+	 * @param {'all'|'primary'|'instance'} [target='all'] - Which instance(s) to send to
+	 * @param {string} [instanceId] - Instance GUID when target is 'instance'
+	 * @param {string} [channelId] - Channel GUID; omit for the first channel
+	 * @param {boolean} [requireArm=false] - Whether the rule must be armed by an
+	 *   earlier press before anything is sent (see Engine.guardRuleFire)
+	 * @returns {Promise<boolean>} True if the rule was sent to every target instance
+	 */
+	async sendBatch(steps, target = 'all', instanceId, channelId, requireArm = false) {
+		if (!this.engine) return false
+
+		const engine = this._getEngineForCommands(
+			steps.map((step) => step.command),
+			channelId,
+		)
+		if (!engine) return false
+
+		if (!engine.guardRuleFire(steps[steps.length - 1].command.id, requireArm)) return false
+
+		return engine.sendBatch(steps, target, instanceId)
+	},
+
+	/**
+	 * Returns the engine for a channel, after checking each command's rule or
+	 * variable belongs to it, since the dropdowns list those of every selected
+	 * channel. Only checked once the channel's definitions are known.
+	 *
+	 * @param {Array<{type: string, id: string}|undefined>} commands - Commands to check
+	 * @param {string} [channelId] - Channel GUID; omit for the first channel
+	 * @returns {Engine|null} The channel's engine, or null (logged) if the commands can't be sent
+	 */
+	_getEngineForCommands(commands, channelId) {
+		const engine = this.getEngine(channelId)
+		if (!engine) {
+			this.log('error', `Not sent: channel ${channelId} is not selected in this connection`)
+			return null
+		}
+
+		for (const command of commands) {
+			if (!command) continue
+			const definitions =
+				command.type === 'EvaluateManualMessagingRuleRequest'
+					? engine.getManualRuleDefinitions()
+					: engine.getVariableDefinitions()
+			if (definitions.length > 0 && !definitions.some((d) => d.ID === command.id)) {
+				const channelName = engine.getActiveChannelName() || channelId
+				this.log('error', `Not sent: ${command.id} is not defined in channel ${channelName}`)
+				return null
+			}
+		}
+
+		return engine
+	},
 }
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Value adjustments for the Adjust Variable Value action
+ *
+ * Kept apart from the action definitions so the arithmetic can be used
+ * without a running module.
+ *
+ * @module companion-module-middleman-adit/adjust
+ */
+
+/**
+ * Number of decimal places written in a numeric string, so adjusted values
+ * keep the precision they were given in ("2.50" + 1 is "3.50", not "3.5").
+ *
+ * @param {string} text - Numeric string
+ * @returns {number} Decimal places
+ */
+function countDecimals(text) {
+	const match = String(text)
+		.trim()
+		.match(/\.(\d+)$/)
+	return match ? match[1].length : 0
+}
+
+/**
+ * Parses a whole string as a number. Unlike parseFloat, trailing text is not
+ * ignored, so a timecode such as "00:02:00" or "12s" is not a number.
+ *
+ * @param {string} text - Text to parse
+ * @returns {number} The number, or NaN when the text isn't one
+ */
+function parseNumber(text) {
+	const trimmed = String(text ?? '').trim()
+	const value = trimmed === '' ? NaN : Number(trimmed)
+	return Number.isFinite(value) ? value : NaN
+}
+
+/**
+ * Computes a variable's new value from its current one for the Adjust
+ * Variable Value action. Option values must already be parsed for variables.
+ *
+ * @param {'add'|'subtract'|'toggle'|'cycle'|'append'} operation - Adjustment
+ * @param {string} current - Current value
+ * @param {object} options - amount, min and max for add/subtract; value_a and
+ *   value_b for toggle; values (comma-separated) for cycle; text for append
+ * @returns {{value?: string, error?: string}} New value, or why there is none
+ */
+function adjustValue(operation, current, options) {
+	switch (operation) {
+		case 'add':
+		case 'subtract': {
+			const value = parseNumber(current)
+			const amount = parseNumber(options.amount)
+			if (isNaN(value)) return { error: `current value "${current}" is not a number` }
+			if (isNaN(amount)) return { error: `amount "${options.amount}" is not a number` }
+
+			// A blank min or max means no limit on that side
+			const limits = {}
+			for (const bound of ['min', 'max']) {
+				if (String(options[bound] ?? '').trim() === '') continue
+				limits[bound] = parseNumber(options[bound])
+				if (isNaN(limits[bound])) return { error: `${bound} "${options[bound]}" is not a number` }
+			}
+			if (limits.min > limits.max) return { error: `min ${limits.min} is greater than max ${limits.max}` }
+
+			let result = operation === 'add' ? value + amount : value - amount
+			if (limits.min !== undefined) result = Math.max(result, limits.min)
+			if (limits.max !== undefined) result = Math.min(result, limits.max)
+
+			const decimals = Math.max(countDecimals(current), countDecimals(options.amount))
+			return { value: result.toFixed(decimals) }
+		}
+		case 'toggle':
+			// Anything other than the first value moves to it, starting the toggle
+			return { value: current === options.value_a ? options.value_b : options.value_a }
+		case 'cycle': {
+			const values = String(options.values ?? '')
+				.split(',')
+				.map((v) => v.trim())
+				.filter((v) => v !== '')
+			if (values.length === 0) return { error: 'no values to cycle through' }
+			// A value not in the list starts the cycle from the first one
+			return { value: values[(values.indexOf(current) + 1) % values.length] }
+		}
+		case 'append':
+			return { value: current + (options.text ?? '') }
+		default:
+			return { error: `unknown operation ${operation}` }
+	}
+}
+
+module.exports = {
+	adjustValue,
+}
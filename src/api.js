@@ -1,23 +1,159 @@
 /**
  * @fileoverview HTTP API client for AdIT manager and instance endpoints
  * 
+ * Every request takes a connection options object describing scheme, TLS
+ * trust and authentication headers, so the manager and instance endpoints
+ * behind a reverse proxy are handled the same way.
+ * 
  * @module companion-module-middleman-adit/api
  */
 const http = require('http')
+const https = require('https')
+const net = require('net')
+
+/**
+ * @typedef {object} ConnectionOptions
+ * @property {boolean} [tls] - Use https:// (and wss:// for WebSockets)
+ * @property {boolean} [rejectUnauthorized] - Set false to accept self-signed certificates
+ * @property {string|Buffer} [ca] - Custom CA certificate(s) in PEM format
+ * @property {object} [headers] - Headers sent with every request (e.g. Authorization)
+ * @property {Map<string, {etag?: string, lastModified?: string, data: any}>} [responseCache] -
+ *   Validators and data from earlier responses, keyed by URL. When given, requests
+ *   are made conditional and a 304 Not Modified resolves with the cached data.
+ */
+
+/**
+ * Formats a host for use in a URL or host:port label. IPv6 literals are
+ * wrapped in brackets; host names, IPv4 addresses and already-bracketed
+ * addresses are returned unchanged.
+ * 
+ * @param {string} host - Host name, IPv4 or IPv6 address
+ * @returns {string} Host suitable for `${host}:${port}`
+ */
+function formatHost(host) {
+  const trimmed = String(host ?? '').trim()
+  if (trimmed.includes(':') && !trimmed.startsWith('[')) {
+    return `[${trimmed}]`
+  }
+  return trimmed
+}
+
+/**
+ * Splits a "host:port" entry into its parts. Accepts host names, IPv4,
+ * bracketed IPv6 with or without a port ("[fd00::1]:8000"), and bare IPv6
+ * without a port ("fd00::1"). Brackets are removed from the returned host.
+ * 
+ * @param {string} entry - Address entry
+ * @param {string|number} defaultPort - Port used when the entry has none
+ * @returns {{host: string, port: string}} Host and port
+ */
+function parseHostPort(entry, defaultPort) {
+  const trimmed = String(entry ?? '').trim()
+
+  const bracketed = trimmed.match(/^\[([^\]]+)\](?::(\d+))?$/)
+  if (bracketed) {
+    return { host: bracketed[1], port: bracketed[2] ?? String(defaultPort) }
+  }
+
+  // More than one colon without brackets can only be a bare IPv6 address
+  const colons = trimmed.split(':').length - 1
+  if (colons === 1) {
+    const [host, port] = trimmed.split(':')
+    return { host, port: port || String(defaultPort) }
+  }
+
+  return { host: trimmed, port: String(defaultPort) }
+}
+
+/**
+ * Checks a host returned by parseHostPort. Anything containing a colon must
+ * be a valid IPv6 address without a zone index (Node's URL parser rejects
+ * those); everything else must be a host name or IPv4 address. The config
+ * field patterns only check characters, so junk such as ":::::" or a stray
+ * bracket is caught here.
+ * 
+ * @param {string} host - Host without brackets
+ * @returns {boolean} True if the host can be connected to
+ */
+function isValidHost(host) {
+  if (host.includes(':')) {
+    return net.isIP(host) === 6 && !host.includes('%')
+  }
+  return /^[A-Za-z0-9](?:[A-Za-z0-9.-]*[A-Za-z0-9])?$/.test(host)
+}
+
+/**
+ * Builds a URL for a manager or instance endpoint.
+ * Hosts are passed through as names rather than resolved here, so every new
+ * connection (including each WebSocket reconnect) does its own DNS lookup.
+ * 
+ * @param {string} scheme - URL scheme without separator (http, https, ws, wss)
+ * @param {string} host - Host name, IPv4 or IPv6 address
+ * @param {number|string} port - Port number
+ * @param {string} path - Path starting with '/'
+ * @returns {string} Full URL
+ */
+function buildUrl(scheme, host, port, path) {
+  return `${scheme}://${formatHost(host)}:${port}${path}`
+}
+
+/**
+ * Builds the http(s) URL for an endpoint path according to the connection options.
+ * 
+ * @param {ConnectionOptions} connection - Connection options
+ * @param {string} host - Host name or IP address
+ * @param {number|string} port - Port number
+ * @param {string} path - Path starting with '/'
+ * @returns {string} Full URL
+ */
+function httpUrl(connection, host, port, path) {
+  return buildUrl(connection.tls ? 'https' : 'http', host, port, path)
+}
 
 /**
  * Makes an HTTP GET request and returns parsed JSON.
  * Centralizes timeout handling, error formatting, and response parsing so the
  * individual fetch functions stay focused on their specific endpoints.
  * 
+ * With a response cache, sends If-None-Match / If-Modified-Since for URLs whose
+ * earlier response carried an ETag or Last-Modified header, and skips reading
+ * and parsing the body when the server answers 304.
+ * 
  * @param {string} url - Full URL to request
  * @param {number} timeout - Max ms to wait before aborting
  * @param {object} headers - Optional HTTP headers
+ * @param {ConnectionOptions} connection - TLS and authentication options
  * @returns {Promise<any>} Parsed JSON response
  */
-function httpGet(url, timeout, headers = {}) {
+function httpGet(url, timeout, headers = {}, connection = {}) {
   return new Promise((resolve, reject) => {
-    const req = http.get(url, { headers }, (res) => {
+    const client = url.startsWith('https:') ? https : http
+    const cached = connection.responseCache?.get(url)
+    const options = {
+      headers: { ...connection.headers, ...headers },
+    }
+
+    if (cached?.etag) {
+      options.headers['If-None-Match'] = cached.etag
+    }
+    if (cached?.lastModified) {
+      options.headers['If-Modified-Since'] = cached.lastModified
+    }
+
+    if (client === https) {
+      options.rejectUnauthorized = connection.rejectUnauthorized !== false
+      if (connection.ca) {
+        options.ca = connection.ca
+      }
+    }
+
+    const req = client.get(url, options, (res) => {
+      if (res.statusCode === 304 && cached) {
+        res.resume()
+        resolve(cached.data)
+        return
+      }
+
       const chunks = []
 
       res.on('data', (chunk) => chunks.push(chunk))
@@ -30,6 +166,17 @@ function httpGet(url, timeout, headers = {}) {
 
         try {
           const data = JSON.parse(Buffer.concat(chunks).toString())
+
+          if (connection.responseCache) {
+            const etag = res.headers['etag']
+            const lastModified = res.headers['last-modified']
+            if (etag || lastModified) {
+              connection.responseCache.set(url, { etag, lastModified, data })
+            } else {
+              connection.responseCache.delete(url)
+            }
+          }
+
           resolve(data)
         } catch (e) {
           reject(new Error(`Invalid JSON from ${url}: ${e.message}`))
@@ -54,11 +201,12 @@ function httpGet(url, timeout, headers = {}) {
  * @param {string} managerIp - Manager service IP address
  * @param {number} managerPort - Manager service port
  * @param {number} timeout - Request timeout in ms
+ * @param {ConnectionOptions} [connection] - TLS and authentication options
  * @returns {Promise<Array>} Array of channel objects
  */
-async function fetchChannels(managerIp, managerPort, timeout) {
-  const url = `http://${managerIp}:${managerPort}/channels`
-  return httpGet(url, timeout)
+async function fetchChannels(managerIp, managerPort, timeout, connection = {}) {
+  const url = httpUrl(connection, managerIp, managerPort, '/channels')
+  return httpGet(url, timeout, {}, connection)
 }
 
 /**
@@ -70,11 +218,12 @@ async function fetchChannels(managerIp, managerPort, timeout) {
  * @param {number} managerPort - Manager service port
  * @param {string} channelId - Channel GUID
  * @param {number} timeout - Request timeout in ms
+ * @param {ConnectionOptions} [connection] - TLS and authentication options
  * @returns {Promise<Array>} Array of manual rule objects
  */
-async function fetchManualRules(managerIp, managerPort, channelId, timeout) {
-  const url = `http://${managerIp}:${managerPort}/channels/${channelId}/messaging-rules`
-  const rules = await httpGet(url, timeout)
+async function fetchManualRules(managerIp, managerPort, channelId, timeout, connection = {}) {
+  const url = httpUrl(connection, managerIp, managerPort, `/channels/${channelId}/messaging-rules`)
+  const rules = await httpGet(url, timeout, {}, connection)
 
   return rules.filter((rule) => {
     try {
@@ -93,11 +242,12 @@ async function fetchManualRules(managerIp, managerPort, channelId, timeout) {
  * @param {number} managerPort - Manager service port
  * @param {string} channelId - Channel GUID
  * @param {number} timeout - Request timeout in ms
+ * @param {ConnectionOptions} [connection] - TLS and authentication options
  * @returns {Promise<Array>} Array of variable definition objects
  */
-async function fetchVariables(managerIp, managerPort, channelId, timeout) {
-  const url = `http://${managerIp}:${managerPort}/channels/${channelId}/variables`
-  return httpGet(url, timeout)
+async function fetchVariables(managerIp, managerPort, channelId, timeout, connection = {}) {
+  const url = httpUrl(connection, managerIp, managerPort, `/channels/${channelId}/variables`)
+  return httpGet(url, timeout, {}, connection)
 }
 
 /**
@@ -107,11 +257,12 @@ async function fetchVariables(managerIp, managerPort, channelId, timeout) {
  * @param {number} managerPort - Manager service port
  * @param {string} channelId - Channel GUID
  * @param {number} timeout - Request timeout in ms
+ * @param {ConnectionOptions} [connection] - TLS and authentication options
  * @returns {Promise<Array>} Array of instance definition objects
  */
-async function fetchInstances(managerIp, managerPort, channelId, timeout) {
-  const url = `http://${managerIp}:${managerPort}/channels/${channelId}/instances`
-  return httpGet(url, timeout)
+async function fetchInstances(managerIp, managerPort, channelId, timeout, connection = {}) {
+  const url = httpUrl(connection, managerIp, managerPort, `/channels/${channelId}/instances`)
+  return httpGet(url, timeout, {}, connection)
 }
 
 /**
@@ -123,12 +274,13 @@ async function fetchInstances(managerIp, managerPort, channelId, timeout) {
  * @param {string} instanceIp - Instance IP address
  * @param {number} apiPort - Instance API port (typically 8001)
  * @param {number} timeout - Request timeout in ms
+ * @param {ConnectionOptions} [connection] - TLS and authentication options
  * @returns {Promise<{status: number, primary: boolean}>} Health and primary state
  */
-async function fetchInstanceStatus(instanceIp, apiPort, timeout) {
-  const url = `http://${instanceIp}:${apiPort}/status`
+async function fetchInstanceStatus(instanceIp, apiPort, timeout, connection = {}) {
+  const url = httpUrl(connection, instanceIp, apiPort, '/status')
   const headers = { Accept: 'application/json' }
-  const data = await httpGet(url, timeout, headers)
+  const data = await httpGet(url, timeout, headers, connection)
 
   // Status can be nested ({Status: {Status: 3}}) or flat ({Status: 3})
   // depending on endpoint. Handle both to be defensive.
@@ -141,6 +293,10 @@ async function fetchInstanceStatus(instanceIp, apiPort, timeout) {
 }
 
 module.exports = {
+  formatHost,
+  parseHostPort,
+  isValidHost,
+  buildUrl,
   fetchChannels,
   fetchManualRules,
   fetchVariables,
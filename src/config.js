@@ -2,12 +2,35 @@
  * @fileoverview Companion configuration field definitions
  * 
  * Defines the module's configuration UI including manager connection settings,
- * channel selection dropdown, and hidden fields for control interface ID and
- * definition caching.
+ * channel selection dropdown, health and split-brain policies, offline command
+ * queue options, double-fire protection, advanced timing, and hidden fields for
+ * control interface ID and definition caching.
  * 
  * @module companion-module-middleman-adit/config
  */
 const { Regex } = require('@companion-module/base')
+const { CONSTANTS, TIMING_FIELDS } = require('./timing')
+
+// Host name or IPv4 address (same pattern as Regex.HOSTNAME), or an IPv6
+// address with or without brackets. IPv6 zone indices (fe80::1%eth0) are not
+// accepted: Node's URL parser rejects them, even percent-encoded. The pattern
+// only checks the characters of an IPv6 address; api.isValidHost checks the
+// address itself when the engine starts.
+const HOST_PATTERN =
+  '(?:(?:(?:[a-zA-Z0-9]|[a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9])\\.)*(?:[A-Za-z0-9]|[A-Za-z0-9][A-Za-z0-9-]*[A-Za-z0-9])' +
+  '|\\[[0-9a-fA-F]*:[0-9a-fA-F:.]+\\]' +
+  '|[0-9a-fA-F]*:[0-9a-fA-F:.]+)'
+
+// A backup entry is a host name or IPv4 address with optional :port, a
+// bracketed IPv6 address with optional :port, or a bare IPv6 address. As with
+// HOST_PATTERN, api.isValidHost checks the addresses themselves.
+const BACKUP_ENTRY_PATTERN =
+  '(?:(?:(?:[a-zA-Z0-9]|[a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9])\\.)*(?:[A-Za-z0-9]|[A-Za-z0-9][A-Za-z0-9-]*[A-Za-z0-9])(?::\\d{1,5})?' +
+  '|\\[[0-9a-fA-F]*:[0-9a-fA-F:.]+\\](?::\\d{1,5})?' +
+  '|[0-9a-fA-F]*:[0-9a-fA-F:.]+)'
+
+const HOST_REGEX = `/^\\s*${HOST_PATTERN}\\s*$/`
+const BACKUP_LIST_REGEX = `/^\\s*(?:${BACKUP_ENTRY_PATTERN}(?:[\\s,]+${BACKUP_ENTRY_PATTERN})*)?[\\s,]*$/`
 
 module.exports = {
   getConfigFields() {
@@ -23,7 +46,7 @@ module.exports = {
               <strong>To use this module:</strong>
               <br>
               <ol>
-                <li>First enter your AdIT Management Service IP Address and Port.</li>
+                <li>First enter your AdIT Management Service host name or IP address, and Port.</li>
                 <li>Click "Save"</li>
                 <li>Then return to this Connection page, and a list of channels will be available.</li>
               </ol>
@@ -34,10 +57,11 @@ module.exports = {
       {
         type: 'textinput',
         id: 'manager_ip',
-        label: 'AdIT Management Service IP Address',
-        tooltip: 'The IP address of the server hosting the AdIT Management Service',
+        label: 'AdIT Management Service Host',
+        tooltip: 'Host name, IPv4 or IPv6 address of the server hosting the AdIT Management Service',
         default: '127.0.0.1',
         width: 6,
+        regex: HOST_REGEX,
       },
       {
         type: 'textinput',
@@ -46,7 +70,16 @@ module.exports = {
         tooltip: 'The port number of the AdIT Management Service',
         default: '8000',
         width: 6,
-        regex: Regex.NUMBER,
+        regex: Regex.PORT,
+      },
+      {
+        type: 'textinput',
+        id: 'manager_backups',
+        label: 'Backup AdIT Management Services',
+        tooltip: 'Optional. Comma-separated host:port list, tried in order when the management service above is unreachable. Port defaults to the one above. Put IPv6 addresses in brackets when giving a port, e.g. [fd00::1]:8000.',
+        default: '',
+        width: 12,
+        regex: BACKUP_LIST_REGEX,
       },
       {
         type: 'dropdown',
@@ -56,6 +89,27 @@ module.exports = {
         choices: this.getChannelChoices.bind(this)(),
         default: 'none',
       },
+      {
+        type: 'multidropdown',
+        id: 'additional_channels',
+        label: 'Additional Channels',
+        tooltip: 'Optional. Control more channels from this connection. Their variables are prefixed ch2_, ch3_, ... in the order selected.',
+        width: 12,
+        choices: this.getAdditionalChannelChoices.bind(this)(),
+        default: [],
+      },
+      {
+        type: 'dropdown',
+        id: 'channel_rebind',
+        label: 'When a Channel Is Recreated',
+        tooltip: 'If a selected channel disappears from the manager and exactly one other channel has the same name, it was most likely deleted and recreated with a new ID',
+        width: 6,
+        default: 'offer',
+        choices: [
+          { id: 'offer', label: 'Log it and wait for the Rebind Channel action' },
+          { id: 'auto', label: 'Rebind to the channel with the same name' },
+        ],
+      },
       // Hidden field: auto-generated UUID for WebSocket identification
       {
         type: 'textinput',
@@ -67,7 +121,8 @@ module.exports = {
       },
       // Hidden field: caches manager definitions to allow operation when manager
       // is temporarily unreachable. Stores raw JSON from manager endpoints along
-      // with metadata for validation (manager IP, channel ID, timestamp).
+      // with metadata for validation (manager IP, channel ID, timestamp), as a
+      // JSON object keyed by channel GUID.
       {
         type: 'textinput',
         id: 'definition_cache',
@@ -76,6 +131,243 @@ module.exports = {
         default: '{}',
         isVisible: () => false,
       },
+      // Hidden fields for rebinding a channel recreated with a new GUID: the
+      // last known name of each selected channel keyed by channel GUID, and
+      // the new GUID of each rule and variable keyed by its GUID before the rebind.
+      {
+        type: 'textinput',
+        id: 'channel_names',
+        label: 'Channel Names',
+        width: 6,
+        default: '{}',
+        isVisible: () => false,
+      },
+      {
+        type: 'textinput',
+        id: 'definition_aliases',
+        label: 'Rule and Variable ID Aliases',
+        width: 6,
+        default: '{}',
+        isVisible: () => false,
+      },
+      // Hidden field: the number in each additional channel's variable prefix
+      // (ch2_, ch3_, ...) keyed by channel GUID, so it doesn't change when
+      // other channels are removed or reordered
+      {
+        type: 'textinput',
+        id: 'channel_numbers',
+        label: 'Channel Numbers',
+        width: 6,
+        default: '{}',
+        isVisible: () => false,
+      },
+      {
+        type: 'static-text',
+        id: 'hr3',
+        width: 12,
+        label: '',
+        value: '<hr />',
+      },
+      {
+        type: 'checkbox',
+        id: 'use_tls',
+        label: 'Use TLS (HTTPS / WSS)',
+        tooltip: 'Connect to the management service and instances over https:// and wss://, e.g. when they sit behind a reverse proxy',
+        width: 6,
+        default: false,
+      },
+      {
+        type: 'checkbox',
+        id: 'tls_allow_self_signed',
+        label: 'Allow Self-Signed Certificates',
+        tooltip: 'Skip certificate verification. Prefer a custom CA certificate where possible.',
+        width: 6,
+        default: false,
+        isVisible: (options) => options.use_tls,
+      },
+      {
+        type: 'textinput',
+        id: 'tls_ca_path',
+        label: 'Custom CA Certificate File',
+        tooltip: 'Optional. Path to a PEM file on the Companion machine containing the CA that signed the server certificates',
+        width: 12,
+        default: '',
+        isVisible: (options) => options.use_tls,
+      },
+      {
+        type: 'dropdown',
+        id: 'auth_type',
+        label: 'Authentication',
+        width: 6,
+        default: 'none',
+        choices: [
+          { id: 'none', label: 'None' },
+          { id: 'bearer', label: 'Bearer token' },
+          { id: 'basic', label: 'Username and password (Basic)' },
+        ],
+      },
+      {
+        type: 'textinput',
+        id: 'auth_token',
+        label: 'Bearer Token',
+        width: 6,
+        default: '',
+        isVisible: (options) => options.auth_type === 'bearer',
+      },
+      {
+        type: 'textinput',
+        id: 'auth_username',
+        label: 'Username',
+        width: 6,
+        default: '',
+        isVisible: (options) => options.auth_type === 'basic',
+      },
+      {
+        type: 'textinput',
+        id: 'auth_password',
+        label: 'Password',
+        width: 6,
+        default: '',
+        isVisible: (options) => options.auth_type === 'basic',
+      },
+      {
+        type: 'textinput',
+        id: 'extra_headers',
+        label: 'Additional Headers',
+        tooltip: 'Optional. Sent with every request and WebSocket connection, as Name: value pairs separated by semicolons',
+        width: 12,
+        default: '',
+      },
+      {
+        type: 'static-text',
+        id: 'hr1',
+        width: 12,
+        label: '',
+        value: '<hr />',
+      },
+      {
+        type: 'checkbox',
+        id: 'exclude_unhealthy_status',
+        label: 'Exclude Instances Reporting LicenseError or Error',
+        tooltip: 'Instances whose AdIT status is LicenseError or Error are not chosen as effective primary, even while connected',
+        width: 6,
+        default: true,
+      },
+      {
+        type: 'number',
+        id: 'status_failure_threshold',
+        label: 'Status Poll Failures Before Unhealthy',
+        tooltip: 'Consecutive failed status polls after which a connected instance is not chosen as effective primary',
+        width: 6,
+        default: 5,
+        min: 1,
+        max: 100,
+      },
+      {
+        type: 'dropdown',
+        id: 'split_brain_policy',
+        label: 'Split-Brain Policy',
+        tooltip: 'What to do when more than one instance reports itself as primary',
+        width: 6,
+        default: 'sticky',
+        choices: [
+          { id: 'sticky', label: 'Stay with current primary' },
+          { id: 'manager_order', label: 'Prefer manager order' },
+          { id: 'running', label: 'Prefer instance with Running status' },
+          { id: 'refuse', label: 'Refuse (no primary until resolved)' },
+        ],
+      },
+      {
+        type: 'static-text',
+        id: 'info-split-brain',
+        label: 'Split-Brain Policy',
+        width: 6,
+        value: 'With "Refuse", variable updates are not applied and primary-only commands are not sent while the conflict lasts.',
+      },
+      {
+        type: 'checkbox',
+        id: 'queue_offline_variables',
+        label: 'Queue Variable Sets for Disconnected Instances',
+        tooltip: 'Replays the latest value of each variable to an instance when it reconnects. Messaging rule evaluations are never replayed.',
+        width: 6,
+        default: false,
+      },
+      {
+        type: 'number',
+        id: 'queue_ttl',
+        label: 'Queued Value Lifetime (seconds)',
+        tooltip: 'Queued values older than this are discarded instead of replayed',
+        width: 6,
+        default: 30,
+        min: 1,
+        max: 3600,
+        isVisible: (options) => options.queue_offline_variables,
+      },
+      {
+        type: 'number',
+        id: 'fire_lockout',
+        label: 'Repeat Fire Lockout (ms)',
+        tooltip: 'A messaging rule fired again within this time of its last fire is dropped, so a double press cannot insert two cues. 0 disables.',
+        width: 6,
+        default: 0,
+        min: 0,
+        max: 60000,
+      },
+      {
+        type: 'number',
+        id: 'arm_timeout',
+        label: 'Arm Timeout (seconds)',
+        tooltip: 'For actions set to arm first: how long a rule stays armed waiting for the press that fires it',
+        width: 6,
+        default: 5,
+        min: 1,
+        max: 300,
+      },
+      // Hidden fields: operator overrides set by the pin/maintenance actions,
+      // persisted here so they survive module restarts. JSON objects keyed by
+      // channel GUID: the pinned instance GUID, and a list of instance GUIDs.
+      {
+        type: 'textinput',
+        id: 'pinned_primary',
+        label: 'Pinned Primary Instance',
+        width: 6,
+        default: '{}',
+        isVisible: () => false,
+      },
+      {
+        type: 'textinput',
+        id: 'maintenance_instances',
+        label: 'Instances In Maintenance',
+        width: 6,
+        default: '{}',
+        isVisible: () => false,
+      },
+      {
+        type: 'static-text',
+        id: 'hr4',
+        width: 12,
+        label: '',
+        value: '<hr />',
+      },
+      {
+        type: 'checkbox',
+        id: 'show_advanced_timing',
+        label: 'Show Advanced Timing',
+        tooltip: 'Poll intervals, timeouts and reconnect delays. Changes apply without reconnecting.',
+        width: 12,
+        default: false,
+      },
+      ...TIMING_FIELDS.map((field) => ({
+        type: 'number',
+        id: field.id,
+        label: field.label,
+        tooltip: field.tooltip,
+        width: 6,
+        default: CONSTANTS[field.key],
+        min: field.min,
+        max: field.max,
+        isVisible: (options) => options.show_advanced_timing,
+      })),
       {
         type: 'static-text',
         id: 'hr2',
@@ -6,6 +6,7 @@
  * 
  * @module companion-module-middleman-adit/engine
  */
+const fs = require('fs')
 const xml2js = require('xml2js')
 const api = require('./api')
 const websocket = require('./websocket')
@@ -14,7 +15,16 @@ const websocket = require('./websocket')
 // old caches automatically rather than risk parsing errors or stale formats
 const CACHE_VERSION = 1
 
-// AdIT instance status codes (for reference, used in status polling)
+// Values of a response's Success/Result/Status attribute that mean the
+// control interface rejected the request
+const COMMAND_FAILURE_VALUES = new Set(['false', '0', 'error', 'failed', 'failure', 'rejected'])
+
+// Command results that count as a failed fire for feedbacks. 'no reply' is
+// not one of them: the control interface isn't known to answer every
+// request, so silence says nothing about whether the command was applied.
+const COMMAND_FAILED_RESULTS = new Set(['rejected', 'cancelled', 'not sent'])
+
+// AdIT instance status codes, as reported by the /status endpoint
 const STATUS_NAMES = {
   0: 'Unknown',
   1: 'LicenseError',
@@ -23,6 +33,26 @@ const STATUS_NAMES = {
   4: 'Error',
 }
 
+// Status codes that make an instance unfit to be primary even while its
+// WebSocket is connected
+const UNHEALTHY_STATUSES = new Set(['LicenseError', 'Error'])
+
+// Health issue for instances whose WebSocket isn't connected. Transitions to
+// and from this are already logged by the WebSocket handlers.
+const HEALTH_ISSUE_DISCONNECTED = 'WebSocket disconnected'
+
+// Default consecutive status poll failures before an instance is unhealthy
+const DEFAULT_STATUS_FAILURE_THRESHOLD = 5
+
+// Reconnect delays are randomized by +/- this fraction so instances on the
+// same host don't all retry in lockstep
+const RECONNECT_JITTER = 0.2
+
+// How long a connection must stay up (ms) before the reconnect backoff
+// resets, so one that opens and is then closed straight away (auth rejected,
+// instance restarting) keeps backing off
+const RECONNECT_STABLE_TIME = 10000
+
 /**
  * Orchestrates connections to AdIT instances and determines which instance
  * is the effective primary for receiving variable updates.
@@ -35,11 +65,15 @@ class Engine {
   /**
    * @param {object} module - Companion module instance for logging, config, status updates
    * @param {object} constants - Timing constants (timeouts, intervals)
+   * @param {number} [slot=0] - Position of this engine's channel in the module's
+   *   channel list (see ModuleInstance.getChannelIds)
    */
-  constructor(module, constants) {
+  constructor(module, constants, slot = 0) {
     this.module = module
     this.constants = constants
 
+    this.slot = slot
+
     // -------------------------------------------------------------------------
     // Instance State
     // -------------------------------------------------------------------------
@@ -54,6 +88,18 @@ class Engine {
     // Preserves manager's ordering for deterministic fallback selection
     this.instanceOrder = []
 
+    // IDs of eligible instances reporting primary while more than one does
+    // (split-brain), in manager order. Empty when there is no split-brain.
+    this.splitBrainIds = []
+
+    // Operator overrides, persisted in config so they survive restarts.
+    // A pinned instance is used as effective primary whenever it is eligible;
+    // instances in maintenance are never elected and skipped by broadcasts.
+    // Stored per channel, see _loadOverrides.
+    this.pinnedPrimaryId = null
+    this.maintenanceIds = new Set()
+    this._loadOverrides()
+
     // -------------------------------------------------------------------------
     // Definition State
     // -------------------------------------------------------------------------
@@ -63,6 +109,43 @@ class Engine {
     this.manualRuleDefinitions = []
     this.variableDefinitions = []
 
+    // Map<variableId, value> - last values applied from the effective primary
+    this.variableValues = new Map()
+
+    // Set while the selected channel's GUID is missing from the manager's
+    // channel list. rebindCandidate is the one other channel with the same
+    // name, if there is exactly one (see _checkChannelMissing).
+    this.channelMissing = false
+    this.rebindCandidate = null
+
+    // -------------------------------------------------------------------------
+    // Command Tracking State
+    // -------------------------------------------------------------------------
+
+    // Most recent tracked command (see _trackCommand for shape)
+    this.lastCommand = null
+
+    // Map<ruleOrVariableId, command> - most recent command per target ID,
+    // so feedbacks can show the outcome of a specific rule's last fire
+    this.commandHistory = new Map()
+
+    // Double-fire protection, see guardRuleFire.
+    // Map<ruleId, timestamp> - when each rule was last fired
+    this.lastFireTimes = new Map()
+    // Map<ruleId, timer> - rules armed and waiting for the press that fires
+    // them; the timer disarms them
+    this.armedRules = new Map()
+    // Most recent blocked fire ({name, reason, time}) and how many so far
+    this.lastBlockedFire = null
+    this.blockedFireCount = 0
+
+    // Map<scheduleId, schedule> - rule evaluations waiting for their time,
+    // see scheduleRule for shape. The countdown timer refreshes the
+    // next_scheduled_* variables every second while any are pending.
+    this.schedules = new Map()
+    this.nextScheduleId = 1
+    this.scheduleCountdownTimer = null
+
     // -------------------------------------------------------------------------
     // Change Detection State
     // -------------------------------------------------------------------------
@@ -71,12 +154,21 @@ class Engine {
     // Using JSON strings allows exact comparison without deep object diffing.
     // This prevents unnecessary initActions() calls when data hasn't changed.
     this.lastChannelId = null
+    this.lastChannelsJson = null
     this.lastRulesJson = null
     this.lastVariablesJson = null
+    this.lastInstancesJson = null
+
+    // Map<url, {etag, lastModified, data}> - manager responses for conditional
+    // requests, see api.httpGet
+    this.managerResponseCache = new Map()
 
     // Track variable definition count for Companion updates
     this.lastVariableDefCount = 0
 
+    // Prefixed Companion variable definitions, see getModuleVariableDefinitions
+    this.moduleVariableDefinitions = []
+
     // -------------------------------------------------------------------------
     // Polling Timers
     // -------------------------------------------------------------------------
@@ -85,6 +177,13 @@ class Engine {
     this.statusPollTimer = null
     this.pingTimer = null
 
+    // In-flight manager poll, shared by callers so polls never overlap
+    this.managerPollPromise = null
+
+    // Consecutive manager polls that found nothing changed; the poll interval
+    // grows with this (see _getManagerPollDelay)
+    this.managerStablePolls = 0
+
     // -------------------------------------------------------------------------
     // Module Status State
     // -------------------------------------------------------------------------
@@ -96,178 +195,1365 @@ class Engine {
     // Track manager reachability for logging transitions
     this.managerReachable = null
 
-    // -------------------------------------------------------------------------
-    // Cache State
-    // -------------------------------------------------------------------------
+    // Manager endpoint that served the last successful poll, see _getManagerEndpoints
+    this.activeManager = null
+
+    // TLS and authentication options shared by every HTTP request and
+    // WebSocket, built lazily from config by _getConnectionOptions
+    this.connectionOptions = null
+
+    // -------------------------------------------------------------------------
+    // Cache State
+    // -------------------------------------------------------------------------
+
+    // True while definitions came from the cache and no live fetch has
+    // succeeded since. Also prevents re-loading (and re-logging) the cache.
+    this.loadedFromCache = false
+
+    // Cached channel info for dropdown display when manager is unreachable.
+    // Without this, the config dropdown can't resolve the channel ID to a name.
+    this.cachedChannelId = null
+    this.cachedChannelName = null
+
+    // -------------------------------------------------------------------------
+    // Engine State
+    // -------------------------------------------------------------------------
+
+    this.running = false
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lifecycle Methods
+  // ---------------------------------------------------------------------------
+
+  /**
+   * GUID of the channel this engine controls, or undefined when its slot has
+   * no channel selected. Read from config on every use, so changing the
+   * channel in a slot is picked up by the poll loop without a restart.
+   *
+   * @returns {string|undefined} Channel GUID
+   */
+  get channelId() {
+    return this.module.getChannelIds()[this.slot]
+  }
+
+  /**
+   * Number of this engine's channel as shown to users: 1 for the first
+   * channel, and the number kept in config for additional channels (see
+   * ModuleInstance._assignChannelNumbers).
+   */
+  get channelNumber() {
+    if (this.slot === 0) return 1
+    return this.module.getChannelNumber(this.channelId) ?? this.slot + 1
+  }
+
+  /**
+   * Prefix for this channel's Companion variables. The first channel keeps
+   * unprefixed names so single-channel setups are unaffected; further
+   * channels are prefixed ch2_, ch3_, ... by channel number.
+   */
+  get variablePrefix() {
+    return this.slot === 0 ? '' : `ch${this.channelNumber}_`
+  }
+
+  /**
+   * Starts the engine after configuration is valid.
+   * Begins polling the manager for definitions and instances for health status.
+   */
+  async start() {
+    if (this.running) return
+    this.running = true
+
+    if (this.module.config.verbose) {
+      this._log('debug', 'Engine starting')
+    }
+
+    // Initial fetch before starting intervals
+    await this._runManagerPoll()
+
+    // Poll instance statuses immediately to elect primary before WebSockets
+    // finish connecting and start sending variable updates
+    await this._pollInstanceStatuses()
+
+    this._startTimers()
+  }
+
+  /**
+   * Replaces the timing constants. Timeouts are read when they're used, so
+   * they apply from the next request; the poll and ping intervals are
+   * restarted here if they changed.
+   *
+   * @param {object} constants - Timing constants (timeouts, intervals)
+   */
+  setConstants(constants) {
+    const changed = Object.keys(constants).filter((key) => constants[key] !== this.constants[key])
+    if (changed.length === 0) return
+
+    const intervalsChanged = [
+      'MANAGER_POLL_INTERVAL',
+      'MANAGER_POLL_MAX_INTERVAL',
+      'INSTANCE_STATUS_POLL_INTERVAL',
+      'WEBSOCKET_PING_INTERVAL',
+    ].some((key) => changed.includes(key))
+
+    this.constants = constants
+    this._log('info', `Timing updated: ${changed.map((key) => `${key}=${constants[key]}ms`).join(', ')}`)
+
+    if (this.running && intervalsChanged) {
+      this._clearTimers()
+      this._startTimers()
+    }
+  }
+
+  /**
+   * Switches to the channel now in this engine's slot without waiting for the
+   * next manager poll: closes the old channel's connections, then fetches the
+   * new channel's definitions and instances straight away. Call after the
+   * module config has been updated.
+   */
+  async switchChannel() {
+    if (!this.running) return
+
+    // Let a poll for the old channel finish before its state is discarded
+    await this.managerPollPromise
+
+    for (const [instanceId, state] of this.instances) {
+      this._closeInstanceConnection(instanceId)
+      this._clearPendingCommands(state, 'channel switched')
+    }
+    this.instances.clear()
+    this.variableValues.clear()
+    this.commandHistory.clear()
+    this.lastCommand = null
+    this._resetFireProtection()
+    this._publishFireProtection()
+    this._clearSchedules()
+    this._publishSchedules()
+
+    this.effectivePrimaryId = undefined
+    this.instanceOrder = []
+    this.splitBrainIds = []
+    this.manualRuleDefinitions = []
+    this.variableDefinitions = []
+    this.loadedFromCache = false
+    this.cachedChannelId = null
+    this.cachedChannelName = null
+    this.channelMissing = false
+    this.rebindCandidate = null
+
+    // Force the next poll to treat everything as new, including variable
+    // definitions that happen to have the same count as the old channel's
+    this.lastChannelId = null
+    this.lastRulesJson = null
+    this.lastVariablesJson = null
+    this.lastInstancesJson = null
+    this.lastVariableDefCount = 0
+    this.managerStablePolls = 0
+
+    this._loadOverrides()
+    this._log('info', `Switching to channel ${this.getActiveChannelName() || this.channelId}`)
+
+    await this._runManagerPoll()
+    await this._pollInstanceStatuses()
+
+    if (this.running) {
+      this._scheduleManagerPoll()
+    }
+
+    // The poll skips these when the manager is unreachable
+    this._updateModuleVariableDefinitions()
+    this._updateInstanceVariables()
+
+    this.module.initActions()
+    this.module.initFeedbacks()
+    this.module.initPresets()
+    this._checkInstanceFeedbacks()
+  }
+
+  /**
+   * Stops all polling and closes all connections.
+   * Safe to call multiple times.
+   */
+  stop() {
+    if (!this.running) return
+    this.running = false
+
+    if (this.module.config.verbose) {
+      this._log('debug', 'Engine stopping')
+    }
+
+    this._clearTimers()
+
+    // Close all instance connections and clear state
+    for (const [instanceId, state] of this.instances) {
+      this._closeInstanceConnection(instanceId)
+      this._clearPendingCommands(state, 'connection stopped')
+    }
+    this.instances.clear()
+    this.variableValues.clear()
+    this.commandHistory.clear()
+    this.lastCommand = null
+    this._resetFireProtection()
+    this.lastBlockedFire = null
+    this.blockedFireCount = 0
+    this._clearSchedules()
+
+    // Reset all state
+    this.effectivePrimaryId = undefined
+    this.instanceOrder = []
+    this.splitBrainIds = []
+    this.currentStatus = null
+    this.currentStatusMessage = null
+    this.lastVariableDefCount = 0
+    this.moduleVariableDefinitions = []
+    this.managerReachable = null
+    this.activeManager = null
+    this.connectionOptions = null
+    this.loadedFromCache = false
+    this.cachedChannelId = null
+    this.cachedChannelName = null
+    this.channelMissing = false
+    this.rebindCandidate = null
+    this.lastChannelId = null
+    this.lastChannelsJson = null
+    this.lastRulesJson = null
+    this.lastVariablesJson = null
+    this.lastInstancesJson = null
+    this.managerResponseCache.clear()
+    this.managerStablePolls = 0
+  }
+
+  /**
+   * Starts the manager poll, instance status poll and ping timers.
+   */
+  _startTimers() {
+    // Manager poll: fetch instance definitions, diff, update connections.
+    // Rescheduled after each poll completes rather than on a fixed interval.
+    this._scheduleManagerPoll()
+
+    // Instance status poll: check health/primary state of each instance
+    this.statusPollTimer = setInterval(
+      () => this._pollInstanceStatuses(),
+      this.constants.INSTANCE_STATUS_POLL_INTERVAL
+    )
+
+    // Ping loop: primary liveness check for WebSocket connections
+    this.pingTimer = setInterval(
+      () => this._sendPings(),
+      this.constants.WEBSOCKET_PING_INTERVAL
+    )
+  }
+
+  /**
+   * Clears the timers started by _startTimers.
+   */
+  _clearTimers() {
+    if (this.managerPollTimer) {
+      clearTimeout(this.managerPollTimer)
+      this.managerPollTimer = null
+    }
+
+    if (this.statusPollTimer) {
+      clearInterval(this.statusPollTimer)
+      this.statusPollTimer = null
+    }
+
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer)
+      this.pingTimer = null
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public Methods (called by index.js and actions.js)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Sends a message to all connected instances.
+   * Used by actions to broadcast commands (set variable, trigger rule).
+   *
+   * @param {string} message - XML message to send
+   * @param {{type: string, id: string}} [command] - Request type and target ID,
+   *   when given the instances' responses are tracked (see _trackCommand)
+   * @returns {number} Number of instances the message was sent to
+   */
+  sendToAllInstances(message, command) {
+    const sentStates = []
+    let queuedCount = 0
+    for (const [, state] of this.instances) {
+      // Instances in maintenance only receive commands addressed to them directly
+      if (this.maintenanceIds.has(state.id)) continue
+
+      if (this._sendToState(state, message)) {
+        sentStates.push(state)
+      } else if (this._queueForReplay(state, message, command)) {
+        queuedCount++
+      }
+    }
+
+    if (sentStates.length === 0) {
+      const queued = queuedCount > 0 ? ` (queued for ${queuedCount} instances)` : ''
+      this._log('warn', `No instances connected, message not sent${queued}`)
+    }
+
+    if (command) {
+      this._trackCommand(command, sentStates)
+    }
+    return sentStates.length
+  }
+
+  /**
+   * Sends a message to the effective primary only.
+   * Used when a command must not be duplicated by backups (e.g. SCTE-104 cues).
+   *
+   * @param {string} message - XML message to send
+   * @param {{type: string, id: string}} [command] - Request type and target ID for response tracking
+   * @returns {boolean} True if the message was sent
+   */
+  sendToEffectivePrimary(message, command) {
+    const primary = this.effectivePrimaryId
+      ? this.instances.get(this.effectivePrimaryId)
+      : null
+
+    let sent = false
+    if (!primary) {
+      this._log('warn', `No effective primary, message not sent`)
+    } else if (!this._sendToState(primary, message)) {
+      this._log('warn', `Effective primary ${this._fmtInstance(primary)} is not connected, message not sent`)
+    } else {
+      sent = true
+    }
+
+    if (command) {
+      this._trackCommand(command, sent ? [primary] : [])
+    }
+    return sent
+  }
+
+  /**
+   * Sends a message to one specific instance.
+   *
+   * @param {string} instanceId - Instance GUID
+   * @param {string} message - XML message to send
+   * @param {{type: string, id: string}} [command] - Request type and target ID for response tracking
+   * @returns {boolean} True if the message was sent
+   */
+  sendToInstance(instanceId, message, command) {
+    const state = this.instances.get(instanceId)
+
+    let sent = false
+    if (!state) {
+      this._log('warn', `Instance ${instanceId} is not registered for this channel, message not sent`)
+    } else if (!this._sendToState(state, message)) {
+      const outcome = this._queueForReplay(state, message, command) ? 'queued for replay' : 'not sent'
+      this._log('warn', `${this._fmtInstance(state)} is not connected, message ${outcome}`)
+    } else {
+      sent = true
+    }
+
+    if (command) {
+      this._trackCommand(command, sent ? [state] : [])
+    }
+    return sent
+  }
+
+  /**
+   * Sends variable sets followed by a rule evaluation as one ordered batch to
+   * each target instance. All steps go out back to back over each instance's
+   * WebSocket, so the instance applies the variable sets before it evaluates
+   * the rule. The rule doesn't wait for the sets to be answered, since the
+   * control interface isn't known to answer them. Nothing is sent if a target
+   * instance isn't connected, and the rule isn't sent if a variable set
+   * couldn't be sent to every instance.
+   *
+   * @param {Array<{message: string, command: {type: string, id: string}}>} steps -
+   *   XML messages in send order with their request type and target ID; the
+   *   last step is the rule
+   * @param {'all'|'primary'|'instance'} [target='all'] - Which instance(s) to send to
+   * @param {string} [instanceId] - Instance GUID when target is 'instance'
+   * @returns {Promise<boolean>} True if the rule was sent to every target instance
+   */
+  async sendBatch(steps, target = 'all', instanceId) {
+    const final = steps[steps.length - 1]
+
+    let states
+    if (target === 'primary') {
+      const primary = this.effectivePrimaryId ? this.instances.get(this.effectivePrimaryId) : null
+      states = primary ? [primary] : []
+    } else if (target === 'instance') {
+      const state = this.instances.get(instanceId)
+      states = state ? [state] : []
+    } else {
+      // Instances in maintenance only receive commands addressed to them directly
+      states = [...this.instances.values()].filter((state) => !this.maintenanceIds.has(state.id))
+    }
+
+    if (states.length === 0) {
+      const reason = target === 'primary'
+        ? 'no effective primary'
+        : target === 'instance' ? `instance ${instanceId} is not registered for this channel` : 'no instances registered'
+      return this._abortBatch(final.command, reason)
+    }
+
+    const notConnected = () => states.filter((state) => state.wsState !== 'connected')
+    if (notConnected().length > 0) {
+      return this._abortBatch(final.command, `${notConnected().map((s) => this._fmtInstance(s)).join(', ')} not connected`)
+    }
+
+    for (const step of steps.slice(0, -1)) {
+      const sentStates = states.filter((state) => this._sendToState(state, step.message))
+      const tracked = this._trackCommand(step.command, sentStates)
+      if (sentStates.length < states.length) {
+        return this._abortBatch(final.command, `${tracked.name} could not be sent`)
+      }
+    }
+
+    const sentStates = states.filter((state) => this._sendToState(state, final.message))
+    this._trackCommand(final.command, sentStates)
+    return sentStates.length === states.length
+  }
+
+  /**
+   * Records a batch's final command as not sent and logs why.
+   *
+   * @param {{type: string, id: string}} command - The batch's final command
+   * @param {string} reason - Why the batch was aborted
+   * @returns {boolean} Always false, for sendBatch to return
+   */
+  _abortBatch(command, reason) {
+    const tracked = this._trackCommand(command, [])
+    tracked.detail = reason
+    this._publishCommandResult()
+    this._log('error', `${tracked.name} not sent: ${reason}`)
+    return false
+  }
+
+  /**
+   * Applies double-fire protection to a messaging rule that is about to be
+   * fired. With requireArm, a press that finds the rule unarmed only arms it,
+   * and the rule disarms itself if it isn't fired within the arm timeout.
+   * A fire within the repeat lockout of the rule's last fire is dropped.
+   * Blocked fires are logged and published to the last_blocked_fire variables.
+   *
+   * @param {string} ruleId - Rule GUID
+   * @param {boolean} [requireArm=false] - Whether the rule must be armed first
+   * @returns {boolean} True if the rule may be fired now
+   */
+  guardRuleFire(ruleId, requireArm = false) {
+    const name = this._getCommandName({ type: 'EvaluateManualMessagingRuleRequest', id: ruleId })
+
+    if (requireArm && !this.armedRules.has(ruleId)) {
+      const seconds = Number(this.module.config.arm_timeout) || 5
+      this.armedRules.set(ruleId, setTimeout(() => {
+        this._log('info', `Disarmed ${name}: not fired within ${seconds}s`)
+        this._disarmRule(ruleId)
+      }, seconds * 1000))
+
+      this._log('info', `Armed ${name}, press again within ${seconds}s to fire`)
+      this._publishFireProtection()
+      this.module.checkFeedbacks('rule_armed')
+      return false
+    }
+
+    if (this.armedRules.has(ruleId)) {
+      this._disarmRule(ruleId)
+    }
+
+    const lockout = Number(this.module.config.fire_lockout) || 0
+    const lastFire = this.lastFireTimes.get(ruleId)
+    const now = Date.now()
+    if (lockout > 0 && lastFire !== undefined && now - lastFire < lockout) {
+      this._recordBlockedFire(ruleId, `fired again ${now - lastFire}ms after the last fire (lockout ${lockout}ms)`)
+      return false
+    }
+
+    this.lastFireTimes.set(ruleId, now)
+    return true
+  }
+
+  /**
+   * Returns whether a rule is armed and waiting for the press that fires it.
+   *
+   * @param {string} [ruleId] - Rule GUID; omit to check for any armed rule
+   * @returns {boolean} True if armed
+   */
+  isRuleArmed(ruleId) {
+    return ruleId ? this.armedRules.has(ruleId) : this.armedRules.size > 0
+  }
+
+  /**
+   * Schedules a messaging rule evaluation. When its time comes the rule is
+   * sent like any other evaluation, through the module's sendMessage, so
+   * the repeat lockout still applies.
+   *
+   * @param {object} schedule - What to send and when
+   * @param {string} schedule.message - XML message to send
+   * @param {{type: string, id: string}} schedule.command - Request type and rule GUID
+   * @param {'all'|'primary'|'instance'} schedule.target - Which instance(s) to send to
+   * @param {string} [schedule.instanceId] - Instance GUID when target is 'instance'
+   * @param {number} schedule.at - When to fire (ms timestamp)
+   * @returns {number} Schedule ID
+   */
+  scheduleRule({ message, command, target, instanceId, at }) {
+    const id = this.nextScheduleId++
+    const entry = { id, message, command, target, instanceId, at, name: this._getRuleName(command.id), timer: null }
+    this.schedules.set(id, entry)
+    this._armScheduleTimer(entry)
+
+    this._log('info', `Scheduled rule '${entry.name}' for ${this._formatTime(at)} (in ${this._formatCountdown(at)})`)
+
+    if (!this.scheduleCountdownTimer) {
+      this.scheduleCountdownTimer = setInterval(() => this._publishSchedules(), 1000)
+    }
+    this._publishSchedules()
+    return id
+  }
+
+  /**
+   * Cancels scheduled rule evaluations.
+   *
+   * @param {string} [ruleId] - Rule GUID; omit to cancel every schedule
+   * @returns {number} Number of schedules cancelled
+   */
+  cancelScheduled(ruleId) {
+    let count = 0
+    for (const [id, entry] of this.schedules) {
+      if (ruleId && entry.command.id !== ruleId) continue
+      clearTimeout(entry.timer)
+      this.schedules.delete(id)
+      this._log('info', `Cancelled scheduled rule '${entry.name}' (was due at ${this._formatTime(entry.at)})`)
+      count++
+    }
+
+    if (count > 0) {
+      this._publishSchedules()
+    }
+    return count
+  }
+
+  /**
+   * Returns whether a rule evaluation is scheduled.
+   *
+   * @param {string} [ruleId] - Rule GUID; omit to check for any rule
+   * @param {number} [withinMs] - Only count schedules due within this many ms
+   * @returns {boolean} True if scheduled
+   */
+  isRuleScheduled(ruleId, withinMs) {
+    const now = Date.now()
+    for (const [, entry] of this.schedules) {
+      if (ruleId && entry.command.id !== ruleId) continue
+      if (withinMs && entry.at - now > withinMs) continue
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Pins the effective primary to an instance, overriding the Primary flags
+   * reported by AdIT for as long as the instance is eligible.
+   *
+   * @param {string} instanceId - Instance GUID
+   * @returns {boolean} True if the pin was applied
+   */
+  pinPrimary(instanceId) {
+    const state = this.instances.get(instanceId)
+    if (!state) {
+      this._log('warn', `Cannot pin primary: instance ${instanceId} is not registered for this channel`)
+      return false
+    }
+    if (this.maintenanceIds.has(instanceId)) {
+      this._log('warn', `Cannot pin primary: ${this._fmtInstance(state)} is in maintenance`)
+      return false
+    }
+
+    this.pinnedPrimaryId = instanceId
+    if (this._isEligibleForPrimary(state)) {
+      this._log('info', `Primary pinned to ${this._fmtInstance(state)}`)
+    } else {
+      this._log('warn', `Primary pinned to ${this._fmtInstance(state)}, which is currently unavailable`)
+    }
+    this._applyOverrides()
+    return true
+  }
+
+  /**
+   * Removes the primary pin and returns to normal election.
+   */
+  unpinPrimary() {
+    if (!this.pinnedPrimaryId) return
+
+    this.pinnedPrimaryId = null
+    this._log('info', `Primary unpinned, resuming automatic selection`)
+    this._applyOverrides()
+  }
+
+  /**
+   * Puts an instance into or out of maintenance. An instance in maintenance
+   * is excluded from primary election and from commands sent to all instances.
+   * Entering maintenance clears a pin on the same instance.
+   *
+   * @param {string} instanceId - Instance GUID
+   * @param {boolean} enabled - True to enter maintenance, false to leave
+   */
+  setMaintenance(instanceId, enabled) {
+    if (enabled === this.maintenanceIds.has(instanceId)) return
+
+    const state = this.instances.get(instanceId)
+    const label = state ? this._fmtInstance(state) : instanceId
+
+    if (enabled) {
+      this.maintenanceIds.add(instanceId)
+      this._log('info', `${label} entered maintenance`)
+      if (this.pinnedPrimaryId === instanceId) {
+        this.pinnedPrimaryId = null
+        this._log('info', `Primary pin on ${label} cleared`)
+      }
+    } else {
+      this.maintenanceIds.delete(instanceId)
+      this._log('info', `${label} left maintenance`)
+    }
+
+    this._applyOverrides()
+  }
+
+  /**
+   * Returns whether an instance is in maintenance.
+   *
+   * @param {string} instanceId - Instance GUID
+   */
+  isInMaintenance(instanceId) {
+    return this.maintenanceIds.has(instanceId)
+  }
+
+  /**
+   * Returns the pinned primary instance ID, or null if none.
+   */
+  getPinnedPrimaryId() {
+    return this.pinnedPrimaryId
+  }
+
+  /**
+   * Reconnects disconnected instances immediately instead of waiting out the
+   * reconnect backoff. Connected and connecting instances are left alone.
+   * The attempt count is kept, so a failed attempt continues the backoff.
+   *
+   * @param {string} [instanceId] - Instance GUID; omit for all instances
+   * @returns {number} Number of instances a reconnect was started for
+   */
+  reconnectNow(instanceId) {
+    const ids = instanceId ? [instanceId] : [...this.instances.keys()]
+    let count = 0
+
+    for (const id of ids) {
+      const state = this.instances.get(id)
+      if (!state) {
+        this._log('warn', `Cannot reconnect: instance ${id} is not registered for this channel`)
+        continue
+      }
+      if (state.wsState !== 'disconnected') continue
+
+      if (state.reconnectTimer) {
+        clearTimeout(state.reconnectTimer)
+        state.reconnectTimer = null
+      }
+      state.reconnectDelay = null
+      this._log('info', `Reconnecting to ${this._fmtInstance(state)} now`)
+      this._openInstanceConnection(id)
+      count++
+    }
+
+    this._updateInstanceVariables()
+    return count
+  }
+
+  /**
+   * Returns whether the most recent tracked command failed (rejected by an
+   * instance, cancelled because its instance went away, or not sent at all).
+   * A command no instance answered is not counted as failed.
+   *
+   * @param {string} [targetId] - Rule or variable GUID to check; omit for the
+   *   most recent command of any kind
+   * @returns {boolean} True if that command failed
+   */
+  didLastCommandFail(targetId) {
+    const command = targetId ? this.commandHistory.get(targetId) : this.lastCommand
+    return !!command && COMMAND_FAILED_RESULTS.has(command.result)
+  }
+
+  /**
+   * Returns registered instances in manager order.
+   * Used to build instance dropdowns for actions.
+   *
+   * @returns {Array<object>} InstanceState objects
+   */
+  getInstancesInOrder() {
+    return this.instanceOrder
+      .map((id) => this.instances.get(id))
+      .filter((state) => state)
+  }
+
+  /**
+   * Returns the current effective primary instance ID, or null if none.
+   */
+  getEffectivePrimaryId() {
+    return this.effectivePrimaryId ?? null
+  }
+
+  /**
+   * Returns definitions for use by actions.js and other modules.
+   */
+  getManualRuleDefinitions() {
+    return this.manualRuleDefinitions
+  }
+
+  getVariableDefinitions() {
+    return this.variableDefinitions
+  }
+
+  getChannelDefinitions() {
+    return this.channelDefinitions
+  }
+
+  /**
+   * Returns the last value applied for an AdIT variable from the effective
+   * primary, or undefined if no value has been received yet.
+   *
+   * @param {string} variableId - Variable GUID
+   * @returns {string|undefined} Current value
+   */
+  getVariableValue(variableId) {
+    return this.variableValues.get(variableId)
+  }
+
+  /**
+   * Returns the name of the selected channel from live definitions, falling
+   * back to the cached name when the manager is unreachable.
+   *
+   * @returns {string} Channel name or empty string if unknown
+   */
+  getActiveChannelName() {
+    return this._getChannelName(this.channelId) || this.cachedChannelName || ''
+  }
+
+  /**
+   * Returns the instance at a 1-based position in the manager's ordering.
+   * Matches the numbering used by the instance_N_* variables.
+   *
+   * @param {number} index - 1-based instance number
+   * @returns {object|null} InstanceState object or null if no such instance
+   */
+  getInstanceByIndex(index) {
+    const id = this.instanceOrder[Number(index) - 1]
+    return (id && this.instances.get(id)) || null
+  }
+
+  /**
+   * Returns whether more than one healthy instance currently reports primary.
+   */
+  isSplitBrain() {
+    return this.splitBrainIds.length > 0
+  }
+
+  /**
+   * Returns whether definitions are currently served from the offline cache.
+   */
+  isUsingCachedDefinitions() {
+    return this.loadedFromCache
+  }
+
+  /**
+   * Returns whether the manager is currently reachable.
+   * null = never attempted, true = reachable, false = unreachable
+   */
+  isManagerReachable() {
+    return this.managerReachable
+  }
+
+  /**
+   * Returns cached channel info for dropdown display when manager is unreachable.
+   * Without this, the config UI shows raw GUIDs instead of channel names.
+   *
+   * @returns {{id: string, name: string}|null} Cached channel info or null
+   */
+  getCachedChannelInfo() {
+    if (this.cachedChannelId) {
+      return { id: this.cachedChannelId, name: this.cachedChannelName }
+    }
+    return null
+  }
+
+  /**
+   * Returns the channel this engine can be rebound to after its channel's
+   * GUID disappeared from the manager, see _checkChannelMissing.
+   *
+   * @returns {{id: string, name: string}|null} Rebind candidate or null
+   */
+  getRebindCandidate() {
+    return this.rebindCandidate
+  }
+
+  /**
+   * Returns the current rule and variable definitions, falling back to the
+   * cached ones, so they can be matched by name against the definitions of
+   * the channel this engine is rebound to.
+   *
+   * @returns {{rules: Array, variables: Array}} Definitions
+   */
+  getDefinitionSnapshot() {
+    let rules = this.manualRuleDefinitions
+    let variables = this.variableDefinitions
+
+    const cache = this._readChannelSetting('definition_cache')
+    try {
+      if (rules.length === 0 && cache?.rulesJson) rules = JSON.parse(cache.rulesJson)
+      if (variables.length === 0 && cache?.variablesJson) variables = JSON.parse(cache.variablesJson)
+    } catch {
+      // Cache corrupted, use what we have
+    }
+
+    return { rules: [...rules], variables: [...variables] }
+  }
+
+  /**
+   * Moves this channel's pin, maintenance list and channel number to another
+   * channel GUID, unless that channel already has its own. Doesn't save the
+   * config.
+   *
+   * @param {string} channelId - GUID of the channel being rebound to
+   * @returns {object} The changed config fields' previous values, to undo the
+   *   move with Object.assign(config, previous)
+   */
+  moveChannelSettings(channelId) {
+    const previous = {}
+    for (const key of ['pinned_primary', 'maintenance_instances', 'channel_numbers']) {
+      const all = this._parseChannelSettings(key)
+      if (all[this.channelId] === undefined) continue
+
+      if (all[channelId] === undefined) {
+        all[channelId] = all[this.channelId]
+      }
+      delete all[this.channelId]
+      previous[key] = this.module.config[key]
+      this.module.config[key] = JSON.stringify(all)
+    }
+    return previous
+  }
+
+  // ---------------------------------------------------------------------------
+  // Operator Overrides (Pin / Maintenance)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Loads this channel's pin and maintenance list from config. Called on
+   * construction and whenever the channel in this engine's slot changes.
+   */
+  _loadOverrides() {
+    this.pinnedPrimaryId = this._readChannelSetting('pinned_primary') || null
+
+    const ids = this._readChannelSetting('maintenance_instances')
+    this.maintenanceIds = new Set(Array.isArray(ids) ? ids : [])
+  }
+
+  /**
+   * Reads this channel's entry from a config field holding a JSON object
+   * keyed by channel GUID (pinned_primary, maintenance_instances,
+   * definition_cache, channel_names).
+   *
+   * @param {string} key - Config field
+   * @returns {any} The channel's entry, or undefined if missing or unreadable
+   */
+  _readChannelSetting(key) {
+    if (!this.channelId) return undefined
+    return this._parseChannelSettings(key)[this.channelId]
+  }
+
+  /**
+   * Writes this channel's entry to a per-channel config field, leaving other
+   * channels' entries alone. Doesn't save the config.
+   *
+   * @param {string} key - Config field
+   * @param {any} value - New entry; undefined removes it
+   */
+  _writeChannelSetting(key, value) {
+    if (!this.channelId) return
+
+    const all = this._parseChannelSettings(key)
+    if (value === undefined) {
+      delete all[this.channelId]
+    } else {
+      all[this.channelId] = value
+    }
+    this.module.config[key] = JSON.stringify(all)
+  }
+
+  /**
+   * Parses a per-channel config field, treating anything that isn't a JSON
+   * object as empty.
+   *
+   * @param {string} key - Config field
+   * @returns {object} Entries keyed by channel GUID
+   */
+  _parseChannelSettings(key) {
+    try {
+      const all = JSON.parse(this.module.config[key] || '{}')
+      return all && typeof all === 'object' && !Array.isArray(all) ? all : {}
+    } catch {
+      return {}
+    }
+  }
+
+  /**
+   * Persists overrides to config and re-runs election so the change takes
+   * effect immediately rather than on the next status poll.
+   */
+  _applyOverrides() {
+    const config = this.module.config
+    this._writeChannelSetting('pinned_primary', this.pinnedPrimaryId ?? undefined)
+    this._writeChannelSetting('maintenance_instances', this.maintenanceIds.size > 0 ? [...this.maintenanceIds] : undefined)
+    this.module.saveConfig(config)
 
-    // Track whether we've loaded from cache this session to avoid re-logging
-    this.loadedFromCache = false
+    this._determinePrimary()
+    this._updateModuleStatus()
+    this._updateInstanceVariables()
+  }
 
-    // Cached channel info for dropdown display when manager is unreachable.
-    // Without this, the config dropdown can't resolve the channel ID to a name.
-    this.cachedChannelId = null
-    this.cachedChannelName = null
+  // ---------------------------------------------------------------------------
+  // Message Sending
+  // ---------------------------------------------------------------------------
 
-    // -------------------------------------------------------------------------
-    // Engine State
-    // -------------------------------------------------------------------------
+  /**
+   * Sends a message over an instance's WebSocket if it is connected.
+   *
+   * @param {object} state - InstanceState object
+   * @param {string} message - XML message to send
+   * @returns {boolean} True if the message was sent
+   */
+  _sendToState(state, message) {
+    if (state.wsState !== 'connected') {
+      return false
+    }
 
-    this.running = false
+    const sent = websocket.sendMessage(state.ws, message)
+    if (sent && this.module.config.verbose) {
+      this._log('debug', `Sent message to ${this._fmtInstance(state)}`)
+    }
+    return sent
   }
 
   // ---------------------------------------------------------------------------
-  // Lifecycle Methods
+  // Offline Replay Queue
   // ---------------------------------------------------------------------------
 
   /**
-   * Starts the engine after configuration is valid.
-   * Begins polling the manager for definitions and instances for health status.
+   * Queues a variable set for an instance that isn't connected, so it can be
+   * replayed when the instance reconnects and doesn't diverge from the others.
+   *
+   * Only SetVariableValueRequest messages are queued, keyed by variable so the
+   * latest value wins. Rule evaluations are never queued: firing a cue late,
+   * after the break it belonged to, is worse than not firing it at all.
+   *
+   * @param {object} state - InstanceState object
+   * @param {string} message - XML message that could not be sent
+   * @param {{type: string, id: string}} [command] - Request type and target ID
+   * @returns {boolean} True if the message was queued
    */
-  async start() {
-    if (this.running) return
-    this.running = true
+  _queueForReplay(state, message, command) {
+    if (!this.module.config.queue_offline_variables) return false
+    if (command?.type !== 'SetVariableValueRequest') return false
+
+    state.replayQueue.set(command.id, { message, queuedAt: Date.now() })
 
     if (this.module.config.verbose) {
-      this._log('debug', 'Engine starting')
+      this._log('debug', `Queued variable ${command.id} for ${this._fmtInstance(state)}`)
     }
+    return true
+  }
 
-    // Initial fetch before starting intervals
-    await this._pollManager()
+  /**
+   * Sends queued variable sets to an instance that has just connected.
+   * Entries older than the configured lifetime are discarded.
+   *
+   * @param {object} state - InstanceState object
+   */
+  _flushReplayQueue(state) {
+    if (state.replayQueue.size === 0) return
+
+    const ttl = (Number(this.module.config.queue_ttl) || 30) * 1000
+    const now = Date.now()
+    let replayed = 0
+    let expired = 0
+
+    for (const [, entry] of state.replayQueue) {
+      if (now - entry.queuedAt > ttl) {
+        expired++
+      } else if (this._sendToState(state, entry.message)) {
+        replayed++
+      }
+    }
+    state.replayQueue.clear()
 
-    // Poll instance statuses immediately to elect primary before WebSockets
-    // finish connecting and start sending variable updates
-    await this._pollInstanceStatuses()
+    if (replayed > 0) {
+      this._log('info', `Replayed ${replayed} queued variable values to ${this._fmtInstance(state)}`)
+    }
+    if (expired > 0 && this.module.config.verbose) {
+      this._log('debug', `Discarded ${expired} expired queued variable values for ${this._fmtInstance(state)}`)
+    }
+  }
 
-    // Manager poll: fetch instance definitions, diff, update connections
-    this.managerPollTimer = setInterval(
-      () => this._pollManager(),
-      this.constants.MANAGER_POLL_INTERVAL
-    )
+  // ---------------------------------------------------------------------------
+  // Command Acknowledgement
+  // ---------------------------------------------------------------------------
 
-    // Instance status poll: check health/primary state of each instance
-    this.statusPollTimer = setInterval(
-      () => this._pollInstanceStatuses(),
-      this.constants.INSTANCE_STATUS_POLL_INTERVAL
-    )
+  /**
+   * Starts tracking responses for a command that was just sent.
+   * Each instance the command reached gets a pending entry that is resolved
+   * by its response message, or as 'no reply' if none arrives in time.
+   *
+   * @param {{type: string, id: string}} command - Request type and target ID
+   * @param {Array<object>} sentStates - InstanceState objects the command was sent to
+   * @returns {object} The tracked command
+   */
+  _trackCommand(command, sentStates) {
+    const tracked = {
+      type: command.type,
+      id: command.id,
+      name: this._getCommandName(command),
+      time: Date.now(),
+      pending: new Set(sentStates.map((s) => s.id)),
+      results: {},
+      result: sentStates.length > 0 ? 'pending' : 'not sent',
+      detail: '',
+    }
+
+    this.lastCommand = tracked
+    this.commandHistory.set(command.id, tracked)
+
+    // Nothing went to air, so firing again straight away isn't a double fire
+    if (command.type === 'EvaluateManualMessagingRuleRequest' && sentStates.length === 0) {
+      this.lastFireTimes.delete(command.id)
+    }
+
+    for (const state of sentStates) {
+      const entry = { command: tracked, timer: null }
+      entry.timer = setTimeout(() => {
+        const timeout = this.constants.COMMAND_RESPONSE_TIMEOUT
+        this._resolveCommand(state.id, entry, 'no reply', `No response within ${timeout}ms`)
+      }, this.constants.COMMAND_RESPONSE_TIMEOUT)
+      state.pendingCommands.push(entry)
+    }
+
+    this._publishCommandResult()
+    this.module.checkFeedbacks('last_command_failed')
+    return tracked
+  }
 
-    // Ping loop: primary liveness check for WebSocket connections
-    this.pingTimer = setInterval(
-      () => this._sendPings(),
-      this.constants.WEBSOCKET_PING_INTERVAL
+  /**
+   * Handles a response or error message from the control interface.
+   *
+   * Responses are correlated with the oldest pending command of the matching
+   * request type (FooResponse answers FooRequest) and, when the response
+   * carries an ID, the matching target ID. Error messages carry no request
+   * type, so they are only correlated when they carry the target ID;
+   * guessing which command an anonymous error belongs to could mark the
+   * wrong one failed.
+   *
+   * @param {string} instanceId - Instance GUID
+   * @param {string} name - Root element name (e.g. SetVariableValueResponse)
+   * @param {object|string} element - Parsed root element
+   */
+  _handleCommandResponse(instanceId, name, element) {
+    const state = this.instances.get(instanceId)
+    if (!state) return
+
+    const attrs = element?.$ ?? {}
+    const text = typeof element === 'string' ? element : element?._ ?? ''
+    const isError = name.endsWith('Error') || name === 'ErrorResponse'
+    const requestType = isError ? null : name.replace(/Response$/, 'Request')
+
+    const entry = (!isError || attrs.ID) && state.pendingCommands.find((e) =>
+      (!requestType || e.command.type === requestType) &&
+      (!attrs.ID || e.command.id === attrs.ID)
     )
+
+    if (!entry) {
+      if (this.module.config.verbose) {
+        this._log('debug', `Unmatched ${name} from ${this._fmtInstance(state)}`)
+      }
+      return
+    }
+
+    // A child <Error> element or error attribute also marks a rejection
+    const errorChild = element?.Error?.[0]
+    const errorText = typeof errorChild === 'string' ? errorChild : errorChild?._
+    const outcome = String(attrs.Success ?? attrs.Result ?? attrs.Status ?? '').toLowerCase()
+
+    const rejected = isError || COMMAND_FAILURE_VALUES.has(outcome) || !!attrs.Error || !!errorChild
+    const detail = attrs.Message ?? attrs.Error ?? errorText ?? text
+
+    this._resolveCommand(instanceId, entry, rejected ? 'rejected' : 'accepted', detail)
   }
 
   /**
-   * Stops all polling and closes all connections.
-   * Safe to call multiple times.
+   * Records one instance's outcome for a tracked command and updates the
+   * command's overall result. Any rejection fails the command immediately;
+   * otherwise it stays pending until every instance has answered or the
+   * response timeout has passed.
+   *
+   * @param {string} instanceId - Instance GUID
+   * @param {object} entry - Pending entry from state.pendingCommands
+   * @param {'accepted'|'rejected'|'no reply'|'cancelled'} result - Outcome for this instance
+   * @param {string} detail - Error text, timeout description or why it was cancelled
    */
-  stop() {
-    if (!this.running) return
-    this.running = false
+  _resolveCommand(instanceId, entry, result, detail) {
+    clearTimeout(entry.timer)
 
-    if (this.module.config.verbose) {
-      this._log('debug', 'Engine stopping')
+    const command = entry.command
+    const state = this.instances.get(instanceId)
+    const label = state ? this._fmtInstance(state) : instanceId
+
+    if (state) {
+      state.pendingCommands = state.pendingCommands.filter((e) => e !== entry)
+      state.lastCommandResult = result
     }
 
-    // Clear polling timers
-    if (this.managerPollTimer) {
-      clearInterval(this.managerPollTimer)
-      this.managerPollTimer = null
+    command.results[instanceId] = result
+    command.pending.delete(instanceId)
+
+    if (result === 'accepted' || result === 'no reply') {
+      if (this.module.config.verbose) {
+        const verb = result === 'accepted' ? 'accepted' : 'did not answer'
+        this._log('debug', `${label} ${verb} ${command.name}`)
+      }
+    } else {
+      const reason = detail ? `: ${detail}` : ''
+      const verb = result === 'cancelled' ? 'never answered' : 'rejected'
+      this._log('warn', `${label} ${verb} ${command.name}${reason}`)
+      if (!command.detail) {
+        command.detail = detail
+      }
     }
 
-    if (this.statusPollTimer) {
-      clearInterval(this.statusPollTimer)
-      this.statusPollTimer = null
+    const results = Object.values(command.results)
+    if (results.includes('rejected')) {
+      command.result = 'rejected'
+    } else if (command.pending.size > 0) {
+      command.result = 'pending'
+    } else if (results.includes('cancelled')) {
+      command.result = 'cancelled'
+    } else if (results.includes('no reply')) {
+      command.result = 'no reply'
+    } else {
+      command.result = 'accepted'
     }
 
-    if (this.pingTimer) {
-      clearInterval(this.pingTimer)
-      this.pingTimer = null
+    if (command === this.lastCommand) {
+      this._publishCommandResult()
     }
+    this._updateInstanceVariables()
+    this.module.checkFeedbacks('last_command_failed')
+  }
 
-    // Close all instance connections and clear state
-    for (const [instanceId] of this.instances) {
-      this._closeInstanceConnection(instanceId)
+  /**
+   * Cancels an instance's pending commands, so their results don't stay
+   * pending once no answer can arrive. Called when the instance is removed,
+   * the channel is switched or the engine stops.
+   *
+   * @param {object} state - InstanceState object
+   * @param {string} reason - Why the commands were cancelled
+   */
+  _clearPendingCommands(state, reason) {
+    // Copied because _resolveCommand removes each entry as it goes
+    for (const entry of [...state.pendingCommands]) {
+      this._resolveCommand(state.id, entry, 'cancelled', reason)
     }
-    this.instances.clear()
+    state.pendingCommands = []
+  }
 
-    // Reset all state
-    this.effectivePrimaryId = undefined
-    this.instanceOrder = []
-    this.currentStatus = null
-    this.currentStatusMessage = null
-    this.lastVariableDefCount = 0
-    this.managerReachable = null
-    this.loadedFromCache = false
-    this.cachedChannelId = null
-    this.cachedChannelName = null
-    this.lastChannelId = null
-    this.lastRulesJson = null
-    this.lastVariablesJson = null
+  /**
+   * Builds a readable description of a command for logs and variables,
+   * e.g. "rule 'Break Start'" or "variable 'Duration'".
+   *
+   * @param {{type: string, id: string}} command - Request type and target ID
+   * @returns {string} Description
+   */
+  _getCommandName(command) {
+    if (command.type === 'EvaluateManualMessagingRuleRequest') {
+      const rule = this.manualRuleDefinitions.find((r) => r.ID === command.id)
+      return `rule '${rule?.Name ?? command.id}'`
+    }
+    if (command.type === 'SetVariableValueRequest') {
+      const variable = this.variableDefinitions.find((v) => v.ID === command.id)
+      return `variable '${variable?.Name ?? command.id}'`
+    }
+    return `${command.type} ${command.id}`
+  }
+
+  /**
+   * Publishes the most recent command's outcome to Companion variables.
+   */
+  _publishCommandResult() {
+    const command = this.lastCommand
+    this._setVariableValues({
+      last_command: command?.name ?? '',
+      last_command_result: command?.result ?? '',
+      last_command_time: this._formatTime(command?.time),
+      last_command_detail: command?.detail ?? '',
+    })
   }
 
   // ---------------------------------------------------------------------------
-  // Public Methods (called by index.js and actions.js)
+  // Double-Fire Protection
   // ---------------------------------------------------------------------------
 
   /**
-   * Sends a message to all connected instances.
-   * Used by actions to broadcast commands (set variable, trigger rule).
+   * Disarms a rule armed by guardRuleFire.
    *
-   * @param {string} message - XML message to send
+   * @param {string} ruleId - Rule GUID
    */
-  sendToAllInstances(message) {
-    for (const [, state] of this.instances) {
-      if (state.wsState === 'connected') {
-        const sent = websocket.sendMessage(state.ws, message)
-        if (sent && this.module.config.verbose) {
-          this._log('debug', `Sent message to ${this._fmtInstance(state)}`)
-        }
-      }
-    }
+  _disarmRule(ruleId) {
+    clearTimeout(this.armedRules.get(ruleId))
+    this.armedRules.delete(ruleId)
+    this._publishFireProtection()
+    this.module.checkFeedbacks('rule_armed')
   }
 
   /**
-   * Returns the current effective primary instance ID, or null if none.
+   * Logs and publishes a fire dropped by the repeat lockout.
+   *
+   * @param {string} ruleId - Rule GUID
+   * @param {string} reason - Why the fire was blocked
    */
-  getEffectivePrimaryId() {
-    return this.effectivePrimaryId ?? null
+  _recordBlockedFire(ruleId, reason) {
+    this.lastBlockedFire = { name: this._getRuleName(ruleId), reason, time: Date.now() }
+    this.blockedFireCount++
+    this._log('warn', `Blocked fire of rule '${this.lastBlockedFire.name}': ${reason}`)
+    this._publishFireProtection()
   }
 
   /**
-   * Returns definitions for use by actions.js and other modules.
+   * Returns a rule's name, or its GUID if the rule isn't defined.
+   *
+   * @param {string} ruleId - Rule GUID
+   * @returns {string} Rule name
    */
-  getManualRuleDefinitions() {
-    return this.manualRuleDefinitions
+  _getRuleName(ruleId) {
+    const rule = this.manualRuleDefinitions.find((r) => r.ID === ruleId)
+    return rule?.Name ?? ruleId
   }
 
-  getVariableDefinitions() {
-    return this.variableDefinitions
+  /**
+   * Publishes armed rules and the most recent blocked fire to Companion variables.
+   */
+  _publishFireProtection() {
+    const armed = [...this.armedRules.keys()].map((id) => this._getRuleName(id))
+
+    this._setVariableValues({
+      armed_rules: armed.join(', '),
+      last_blocked_fire: this.lastBlockedFire?.name ?? '',
+      last_blocked_fire_reason: this.lastBlockedFire?.reason ?? '',
+      last_blocked_fire_time: this._formatTime(this.lastBlockedFire?.time),
+      blocked_fire_count: this.blockedFireCount,
+    })
   }
 
-  getChannelDefinitions() {
-    return this.channelDefinitions
+  // ---------------------------------------------------------------------------
+  // Scheduled Rules
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Starts the timer that fires a schedule. Long timers can wake early when
+   * the system clock is adjusted, so an early wake waits out the remainder.
+   *
+   * @param {object} entry - Schedule from scheduleRule
+   */
+  _armScheduleTimer(entry) {
+    entry.timer = setTimeout(() => {
+      if (entry.at - Date.now() > 0) {
+        this._armScheduleTimer(entry)
+        return
+      }
+      this._fireSchedule(entry)
+    }, Math.max(0, entry.at - Date.now()))
   }
 
   /**
-   * Returns whether the manager is currently reachable.
-   * null = never attempted, true = reachable, false = unreachable
+   * Sends a scheduled rule evaluation whose time has come.
+   *
+   * @param {object} entry - Schedule from scheduleRule
    */
-  isManagerReachable() {
-    return this.managerReachable
+  _fireSchedule(entry) {
+    if (!this.schedules.delete(entry.id)) return
+
+    this._log('info', `Firing scheduled rule '${entry.name}'`)
+    this.module.sendMessage(entry.message, entry.target, entry.instanceId, entry.command, this.channelId)
+    this._publishSchedules()
   }
 
   /**
-   * Returns cached channel info for dropdown display when manager is unreachable.
-   * Without this, the config UI shows raw GUIDs instead of channel names.
+   * Drops every pending schedule without firing it. Called when the engine
+   * stops or switches channel.
+   */
+  _clearSchedules() {
+    if (this.schedules.size > 0) {
+      this._log('info', `Dropped ${this.schedules.size} scheduled rule evaluations`)
+    }
+
+    for (const [, entry] of this.schedules) {
+      clearTimeout(entry.timer)
+    }
+    this.schedules.clear()
+
+    if (this.scheduleCountdownTimer) {
+      clearInterval(this.scheduleCountdownTimer)
+      this.scheduleCountdownTimer = null
+    }
+  }
+
+  /**
+   * Publishes the next scheduled rule and its countdown to Companion
+   * variables, and stops the countdown timer once nothing is scheduled.
+   */
+  _publishSchedules() {
+    let next = null
+    for (const [, entry] of this.schedules) {
+      if (!next || entry.at < next.at) next = entry
+    }
+
+    if (!next && this.scheduleCountdownTimer) {
+      clearInterval(this.scheduleCountdownTimer)
+      this.scheduleCountdownTimer = null
+    }
+
+    this._setVariableValues({
+      next_scheduled_rule: next?.name ?? '',
+      next_scheduled_time: this._formatTime(next?.at),
+      next_scheduled_countdown: next ? this._formatCountdown(next.at) : '',
+      scheduled_count: this.schedules.size,
+    })
+    this.module.checkFeedbacks('rule_scheduled')
+  }
+
+  /**
+   * Formats the time left until a timestamp as H:MM:SS, rounded up so the
+   * countdown reaches 0:00:00 only when the time has come.
    *
-   * @returns {{id: string, name: string}|null} Cached channel info or null
+   * @param {number} at - Timestamp in milliseconds
+   * @returns {string} Countdown (e.g. "0:04:12")
    */
-  getCachedChannelInfo() {
-    if (this.cachedChannelId) {
-      return { id: this.cachedChannelId, name: this.cachedChannelName }
+  _formatCountdown(at) {
+    return this._formatDuration(Math.ceil(Math.max(0, at - Date.now()) / 1000) * 1000)
+  }
+
+  /**
+   * Disarms every rule and forgets fire times. Called when the engine stops
+   * or switches channel, since rule GUIDs belong to the channel.
+   */
+  _resetFireProtection() {
+    for (const timer of this.armedRules.values()) {
+      clearTimeout(timer)
     }
-    return null
+    this.armedRules.clear()
+    this.lastFireTimes.clear()
   }
 
   // ---------------------------------------------------------------------------
@@ -285,6 +1571,33 @@ class Engine {
     return `'${state.name}' (${state.id})`
   }
 
+  /**
+   * Formats a timestamp as a local time of day for variables.
+   *
+   * @param {number|null|undefined} timestamp - Unix timestamp in milliseconds
+   * @returns {string} Local time (e.g. "14:03:22") or empty string if unset
+   */
+  _formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleTimeString() : ''
+  }
+
+  /**
+   * Formats a duration for variables as H:MM:SS, prefixed with days when needed.
+   *
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} Formatted duration (e.g. "0:04:12", "2d 3:00:00")
+   */
+  _formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000))
+    const days = Math.floor(totalSeconds / 86400)
+    const hours = Math.floor((totalSeconds % 86400) / 3600)
+    const minutes = Math.floor((totalSeconds % 3600) / 60)
+    const seconds = totalSeconds % 60
+
+    const clock = `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`
+    return days > 0 ? `${days}d ${clock}` : clock
+  }
+
   /**
    * Formats an instance from raw manager data (before state object exists).
    *
@@ -311,15 +1624,13 @@ class Engine {
   _loadCache() {
     const config = this.module.config
 
-    if (!config.definition_cache) {
+    const cache = this._readChannelSetting('definition_cache')
+    if (!cache) {
       return null
     }
 
-    let cache
-    try {
-      cache = JSON.parse(config.definition_cache)
-    } catch (err) {
-      this._log('warn', `Definition cache corrupted, ignoring: ${err.message}`)
+    if (typeof cache !== 'object') {
+      this._log('warn', `Definition cache corrupted, ignoring`)
       this._clearCache()
       return null
     }
@@ -343,7 +1654,7 @@ class Engine {
       return null
     }
 
-    if (cache.channelId !== config.channel) {
+    if (cache.channelId !== this.channelId) {
       if (this.module.config.verbose) {
         this._log('debug', `Cache channel ID mismatch, ignoring`)
       }
@@ -376,11 +1687,14 @@ class Engine {
     const config = this.module.config
     const existingCache = this._loadCache()
 
+    const servedBy = this.activeManager?.label ?? ''
+
     // Check if data actually changed to avoid excessive config writes
     if (existingCache &&
         existingCache.instancesJson === instancesJson &&
         existingCache.variablesJson === variablesJson &&
-        existingCache.rulesJson === rulesJson) {
+        existingCache.rulesJson === rulesJson &&
+        existingCache.servedBy === servedBy) {
       return // No changes
     }
 
@@ -388,14 +1702,16 @@ class Engine {
       version: CACHE_VERSION,
       timestamp: Date.now(),
       managerIp: config.manager_ip,
-      channelId: config.channel,
+      servedBy: servedBy,
+      channelId: this.channelId,
       channelName: channelName,
       instancesJson: instancesJson,
       variablesJson: variablesJson,
       rulesJson: rulesJson,
     }
 
-    config.definition_cache = JSON.stringify(cache)
+    this._writeChannelSetting('definition_cache', cache)
+    this._pruneCache()
     this.module.saveConfig(config)
 
     if (this.module.config.verbose) {
@@ -408,11 +1724,27 @@ class Engine {
    * Called when cache is detected as invalid or corrupted.
    */
   _clearCache() {
-    const config = this.module.config
-    if (config.definition_cache && config.definition_cache !== '{}') {
-      config.definition_cache = '{}'
-      this.module.saveConfig(config)
+    if (this._readChannelSetting('definition_cache') !== undefined) {
+      this._writeChannelSetting('definition_cache', undefined)
+      this.module.saveConfig(this.module.config)
+    }
+  }
+
+  /**
+   * Drops cached definitions for channels that are no longer selected, so the
+   * config doesn't accumulate caches for every channel ever used.
+   * Doesn't save the config.
+   */
+  _pruneCache() {
+    const all = this._parseChannelSettings('definition_cache')
+    const selected = this.module.getChannelIds()
+    const stale = Object.keys(all).filter((id) => !selected.includes(id))
+    if (stale.length === 0) return
+
+    for (const id of stale) {
+      delete all[id]
     }
+    this.module.config.definition_cache = JSON.stringify(all)
   }
 
   /**
@@ -468,7 +1800,8 @@ class Engine {
       // "using cached definitions" then "instance discovered"
       const age = this._formatCacheAge(cache.timestamp)
       const channelLabel = cache.channelName || cache.channelId
-      this._log('info', `Manager unreachable, using cached definitions for '${channelLabel}' (cached ${age})`)
+      const source = cache.servedBy ? ` from ${cache.servedBy}` : ''
+      this._log('info', `Manager unreachable, using cached definitions for '${channelLabel}' (cached ${age}${source})`)
 
       this.manualRuleDefinitions = rules
       this.variableDefinitions = variables
@@ -482,8 +1815,10 @@ class Engine {
       // Register variable definitions with Companion so button text variables resolve
       this._updateModuleVariableDefinitions()
 
-      // Refresh action definitions with cached data
+      // Refresh action, feedback and preset definitions with cached data
       this.module.initActions()
+      this.module.initFeedbacks()
+      this.module.initPresets()
 
     } catch (err) {
       this._log('warn', `Failed to parse cached definitions: ${err.message}`)
@@ -491,39 +1826,119 @@ class Engine {
     }
   }
 
-  // ---------------------------------------------------------------------------
-  // Manager Polling
-  // ---------------------------------------------------------------------------
-
+  // ---------------------------------------------------------------------------
+  // Manager Polling
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Runs a manager poll, or joins the one already in flight, so a slow
+   * manager can never have two polls running at once.
+   *
+   * @returns {Promise<boolean>} Whether the poll detected a change
+   */
+  _runManagerPoll() {
+    if (this.managerPollPromise) return this.managerPollPromise
+
+    this.managerPollPromise = this._pollManager()
+      .catch((err) => {
+        this._log('error', `Manager poll failed: ${err.message}`)
+        return false
+      })
+      .then((changed) => {
+        this.managerPollPromise = null
+        if (changed || !this.managerReachable) {
+          this.managerStablePolls = 0
+        } else {
+          this.managerStablePolls++
+        }
+        return changed
+      })
+
+    return this.managerPollPromise
+  }
+
+  /**
+   * Schedules the next manager poll, replacing any already scheduled.
+   */
+  _scheduleManagerPoll() {
+    if (this.managerPollTimer) {
+      clearTimeout(this.managerPollTimer)
+    }
+
+    this.managerPollTimer = setTimeout(async () => {
+      this.managerPollTimer = null
+      await this._runManagerPoll()
+      if (this.running && !this.managerPollTimer) {
+        this._scheduleManagerPoll()
+      }
+    }, this._getManagerPollDelay())
+  }
+
+  /**
+   * Returns the delay before the next manager poll. Polls run at
+   * MANAGER_POLL_INTERVAL after a change, a recovery or while the manager is
+   * unreachable, then slow by half again per unchanged poll up to
+   * MANAGER_POLL_MAX_INTERVAL.
+   *
+   * @returns {number} Delay in ms
+   */
+  _getManagerPollDelay() {
+    const base = this.constants.MANAGER_POLL_INTERVAL
+    const max = Math.max(base, this.constants.MANAGER_POLL_MAX_INTERVAL ?? base)
+    return Math.round(Math.min(max, base * 1.5 ** Math.min(this.managerStablePolls, 32)))
+  }
+
   /**
    * Fetches current definitions from the manager.
    *
-   * Always attempts to fetch channels (needed for config dropdown).
+   * Always attempts to fetch channels (needed for config dropdown), failing
+   * over to backup managers in order when the configured one is unreachable.
    * Only fetches instances/rules/variables when a channel is selected.
    * On manager failure, falls back to cached definitions if available on cold
    * start, otherwise preserves existing instance state for continued operation.
+   *
+   * Only call through _runManagerPoll, which keeps polls from overlapping.
+   *
+   * @returns {Promise<boolean>} True if the manager recovered or any
+   *   definitions changed, so the next poll should come sooner
    */
   async _pollManager() {
     const config = this.module.config
-    if (!config.manager_ip) return
+    if (!config.manager_ip) return false
 
-    const hasChannel = config.channel && config.channel !== 'none'
-    const channelChanged = config.channel !== this.lastChannelId
+    const channelId = this.channelId
+    const hasChannel = !!channelId
+    const channelChanged = channelId !== this.lastChannelId
+
+    // Pins and maintenance belong to a channel, so follow a channel change
+    if (channelChanged && this.lastChannelId !== null) {
+      this._loadOverrides()
+    }
+
+    // Snapshot for feedback refresh once this poll has settled
+    const wasReachable = this.managerReachable
+    const wasUsingCache = this.loadedFromCache
+
+    // Always try to fetch channels for the dropdown. This also selects which
+    // manager endpoint serves the rest of this poll.
+    let changed = false
 
-    // Always try to fetch channels for the dropdown
     try {
-      const channels = await api.fetchChannels(
-        config.manager_ip,
-        config.manager_port,
-        this.constants.HTTP_MANAGER_TIMEOUT
-      )
+      const channels = await this._fetchChannelsWithFailover()
       this.channelDefinitions = channels
 
+      const channelsJson = JSON.stringify(channels)
+      if (channelsJson !== this.lastChannelsJson) {
+        this.lastChannelsJson = channelsJson
+        changed = true
+      }
+
       // Log on connection established or restored
       if (this.managerReachable === null) {
-        this._log('info', `Connected to manager at ${config.manager_ip}:${config.manager_port}`)
+        this._log('info', `Connected to manager at ${this.activeManager.label}`)
       } else if (this.managerReachable === false) {
-        this._log('info', `Manager connection restored`)
+        this._log('info', `Manager connection restored (${this.activeManager.label})`)
+        changed = true
       }
       this.managerReachable = true
 
@@ -547,12 +1962,27 @@ class Engine {
       }
     }
 
+    // A channel deleted and recreated on the manager comes back with a new
+    // GUID. Until it's rebound, keep what we have rather than fetching
+    // definitions for a channel that no longer exists.
+    if (this.managerReachable && hasChannel) {
+      this._checkChannelMissing()
+
+      if (this.channelMissing && this.instances.size === 0 && !this.loadedFromCache) {
+        this._tryLoadFromCache()
+      }
+    }
+
     // Only fetch channel-specific data if manager is reachable and channel selected
-    if (!this.managerReachable || !hasChannel) {
+    if (!this.managerReachable || !hasChannel || this.channelMissing) {
+      this._publishManagerState(wasReachable, wasUsingCache)
       this._updateModuleStatus()
-      return
+      return changed
     }
 
+    const manager = this.activeManager
+    const connection = this._getManagerConnectionOptions()
+
     // Fetch instances, rules, and variables for the selected channel
     let fetchedInstances = null
     let instancesJson = null
@@ -563,15 +1993,15 @@ class Engine {
       const [rulesResponse, variablesResponse, instancesResponse] = await Promise.all([
         this._fetchWithJson(
           api.fetchManualRules,
-          config.manager_ip, config.manager_port, config.channel, this.constants.HTTP_MANAGER_TIMEOUT
+          manager.ip, manager.port, channelId, this.constants.HTTP_MANAGER_TIMEOUT, connection
         ),
         this._fetchWithJson(
           api.fetchVariables,
-          config.manager_ip, config.manager_port, config.channel, this.constants.HTTP_MANAGER_TIMEOUT
+          manager.ip, manager.port, channelId, this.constants.HTTP_MANAGER_TIMEOUT, connection
         ),
         this._fetchWithJson(
           api.fetchInstances,
-          config.manager_ip, config.manager_port, config.channel, this.constants.HTTP_MANAGER_TIMEOUT
+          manager.ip, manager.port, channelId, this.constants.HTTP_MANAGER_TIMEOUT, connection
         ),
       ])
 
@@ -597,21 +2027,37 @@ class Engine {
         this._log('debug', `Fetched ${rules.length} rules, ${variables.length} variables, ${instances.length} instances`)
       }
 
-      // Refresh action definitions if content changed or channel switched.
-      // Channel changes require refresh even if data looks similar because
-      // the GUIDs are different between channels.
+      // Refresh action, feedback and preset definitions if content changed or
+      // channel switched. Channel changes require refresh even if data looks
+      // similar because the GUIDs are different between channels.
       if (rulesChanged || varsChanged || channelChanged) {
         this.module.initActions()
+        this.module.initFeedbacks()
+        this.module.initPresets()
+      }
+
+      if (rulesChanged || varsChanged || channelChanged || instancesJson !== this.lastInstancesJson) {
+        changed = true
       }
 
       // Update change tracking state after successful fetch
-      this.lastChannelId = config.channel
+      this.lastChannelId = channelId
       this.lastRulesJson = rulesJson
       this.lastVariablesJson = variablesJson
+      this.lastInstancesJson = instancesJson
 
-      // Save to cache for offline operation
-      const channelName = this._getChannelName(config.channel)
-      this._saveCache(instancesJson, variablesJson, rulesJson, channelName)
+      if (this.loadedFromCache) {
+        this._log('info', `Definitions refreshed from manager, no longer using cache`)
+        this.loadedFromCache = false
+      }
+
+      // Save to cache for offline operation. The cache is keyed by the
+      // current channel, so skip it if the channel was switched while this
+      // poll was in flight - the data belongs to the old channel.
+      if (this.channelId === channelId) {
+        const channelName = this._getChannelName(channelId)
+        this._saveCache(instancesJson, variablesJson, rulesJson, channelName)
+      }
 
     } catch (err) {
       // Manager became unreachable between channels fetch and this fetch,
@@ -633,7 +2079,168 @@ class Engine {
     }
 
     this._updateModuleVariableDefinitions()
+    this._publishManagerState(wasReachable, wasUsingCache)
     this._updateModuleStatus()
+    return changed
+  }
+
+  /**
+   * Publishes the active manager variable, and re-evaluates manager and cache
+   * feedbacks if either state changed during a poll.
+   *
+   * @param {boolean|null} wasReachable - managerReachable before the poll
+   * @param {boolean} wasUsingCache - loadedFromCache before the poll
+   */
+  _publishManagerState(wasReachable, wasUsingCache) {
+    this._setVariableValues({
+      active_manager: this.managerReachable ? this.activeManager?.label ?? '' : '',
+    })
+
+    if (this.managerReachable !== wasReachable) {
+      this.module.checkFeedbacks('manager_reachable')
+    }
+    if (this.loadedFromCache !== wasUsingCache) {
+      this.module.checkFeedbacks('using_cached_definitions')
+    }
+  }
+
+  /**
+   * Builds the TLS and authentication options used for every manager and
+   * instance request. Cached until the engine is stopped; the module restarts
+   * the engine when any of the underlying config fields change.
+   *
+   * A CA file that can't be read is logged and ignored, so the connection
+   * falls back to the system trust store rather than failing to start.
+   *
+   * @returns {import('./api').ConnectionOptions} Connection options
+   */
+  _getConnectionOptions() {
+    if (this.connectionOptions) return this.connectionOptions
+
+    const config = this.module.config
+    const options = {
+      tls: !!config.use_tls,
+      rejectUnauthorized: !config.tls_allow_self_signed,
+      headers: {},
+    }
+
+    const caPath = (config.tls_ca_path || '').trim()
+    if (options.tls && caPath) {
+      try {
+        options.ca = fs.readFileSync(caPath)
+      } catch (err) {
+        this._log('error', `Could not read CA certificate ${caPath}: ${err.message}`)
+      }
+    }
+
+    if (config.auth_type === 'bearer' && config.auth_token) {
+      options.headers.Authorization = `Bearer ${config.auth_token}`
+    } else if (config.auth_type === 'basic' && config.auth_username) {
+      const credentials = Buffer.from(`${config.auth_username}:${config.auth_password ?? ''}`).toString('base64')
+      options.headers.Authorization = `Basic ${credentials}`
+    }
+
+    // Extra headers: "Name: value" pairs separated by semicolons or newlines
+    for (const entry of (config.extra_headers || '').split(/[;\n]/)) {
+      const separator = entry.indexOf(':')
+      if (separator <= 0) continue
+      const name = entry.slice(0, separator).trim()
+      const value = entry.slice(separator + 1).trim()
+      if (name) {
+        options.headers[name] = value
+      }
+    }
+
+    this.connectionOptions = options
+    return options
+  }
+
+  /**
+   * Connection options for manager requests: the shared options plus the
+   * response cache that makes them conditional.
+   *
+   * @returns {import('./api').ConnectionOptions} Connection options
+   */
+  _getManagerConnectionOptions() {
+    return { ...this._getConnectionOptions(), responseCache: this.managerResponseCache }
+  }
+
+  /**
+   * Builds the ordered list of manager endpoints: the configured manager
+   * first, then any backups. Read from config on every poll so backup list
+   * edits apply without restarting the engine.
+   *
+   * Backups are a comma or space separated list of host:port entries; the
+   * port defaults to the primary manager's port when omitted. IPv6 addresses
+   * need brackets when a port is given ("[fd00::1]:8000").
+   *
+   * @returns {Array<{ip: string, port: string, label: string, backup: boolean}>} Endpoints in priority order
+   */
+  _getManagerEndpoints() {
+    const config = this.module.config
+    const { host: primaryIp } = api.parseHostPort(config.manager_ip, config.manager_port)
+    const endpoints = [
+      { ip: primaryIp, port: config.manager_port, label: `${api.formatHost(primaryIp)}:${config.manager_port}`, backup: false },
+    ]
+
+    const entries = (config.manager_backups || '').split(/[\s,]+/).filter((e) => e)
+    for (const entry of entries) {
+      const { host: ip, port } = api.parseHostPort(entry, config.manager_port)
+      endpoints.push({ ip, port, label: `${api.formatHost(ip)}:${port}`, backup: true })
+    }
+
+    return endpoints
+  }
+
+  /**
+   * Fetches channels from the first manager endpoint that responds, trying
+   * them in priority order. Starting from the top on every poll means we
+   * fail back to the primary manager as soon as it is reachable again.
+   *
+   * @returns {Promise<Array>} Array of channel objects
+   * @throws {Error} The last endpoint's error if none respond
+   */
+  async _fetchChannelsWithFailover() {
+    let lastError = null
+    const connection = this._getManagerConnectionOptions()
+
+    for (const endpoint of this._getManagerEndpoints()) {
+      try {
+        const channels = await api.fetchChannels(
+          endpoint.ip,
+          endpoint.port,
+          this.constants.HTTP_MANAGER_TIMEOUT,
+          connection
+        )
+        this._setActiveManager(endpoint)
+        return channels
+      } catch (err) {
+        lastError = err
+        if (this.module.config.verbose) {
+          this._log('debug', `Manager ${endpoint.label} unreachable: ${err.message}`)
+        }
+      }
+    }
+
+    throw lastError
+  }
+
+  /**
+   * Records the manager endpoint that answered, logging failover and failback.
+   *
+   * @param {{ip: string, port: string, label: string, backup: boolean}} endpoint - Endpoint that responded
+   */
+  _setActiveManager(endpoint) {
+    const previous = this.activeManager
+    this.activeManager = endpoint
+
+    if (!previous || previous.label === endpoint.label) return
+
+    if (endpoint.backup) {
+      this._log('warn', `Manager failover: using backup manager ${endpoint.label} (was ${previous.label})`)
+    } else {
+      this._log('info', `Manager failback: using primary manager ${endpoint.label}`)
+    }
   }
 
   /**
@@ -663,6 +2270,87 @@ class Engine {
     return channel?.Name ?? ''
   }
 
+  /**
+   * Checks the selected channel is still in the manager's channel list, and
+   * remembers its name while it is. If its GUID has gone, the channel was
+   * most likely deleted and recreated, so look for exactly one other channel
+   * with the remembered name. It is offered as a rebind (see the Rebind
+   * Channel action), or applied straight away when config.channel_rebind is
+   * 'auto'. Logs once per change of candidate.
+   */
+  _checkChannelMissing() {
+    const channelId = this.channelId
+    const name = this._getChannelName(channelId)
+    if (name) {
+      if (this.channelMissing) {
+        this._log('info', `Channel '${name}' is available again`)
+      }
+      this.channelMissing = false
+      this.rebindCandidate = null
+      this._rememberChannelName(name)
+      return
+    }
+
+    const wasMissing = this.channelMissing
+    const previousCandidateId = this.rebindCandidate?.id ?? null
+
+    const storedName =
+      this._readChannelSetting('channel_names') || this._readChannelSetting('definition_cache')?.channelName || ''
+    const selected = this.module.getChannelIds()
+    const matches = storedName
+      ? this.channelDefinitions.filter((c) => c.Name === storedName && !selected.includes(c.ID))
+      : []
+
+    this.channelMissing = true
+    this.rebindCandidate = matches.length === 1 ? { id: matches[0].ID, name: matches[0].Name } : null
+
+    if (wasMissing && previousCandidateId === (this.rebindCandidate?.id ?? null)) return
+
+    const label = storedName ? `'${storedName}' (${channelId})` : channelId
+    if (!this.rebindCandidate) {
+      const ambiguous = matches.length > 1
+        ? `; ${matches.length} channels are named '${storedName}', select one in the connection config`
+        : ''
+      this._log('warn', `Channel ${label} no longer exists on the manager${ambiguous}`)
+      return
+    }
+
+    if (this.module.config.channel_rebind === 'auto') {
+      this._log('info', `Channel ${label} was recreated on the manager as ${this.rebindCandidate.id}, rebinding`)
+      // Not awaited: switching channel waits for this poll to finish first
+      this.module.rebindChannel(this.slot).catch((err) => {
+        this._log('error', `Channel rebind failed: ${err.message}`)
+      })
+    } else {
+      this._log(
+        'warn',
+        `Channel ${label} no longer exists on the manager, but channel ${this.rebindCandidate.id} has the same name. ` +
+          'Run the Rebind Channel action to use it.'
+      )
+    }
+  }
+
+  /**
+   * Stores the selected channel's name in config, so the channel can still be
+   * found by name if its GUID changes. Names of channels that are no longer
+   * selected are dropped at the same time.
+   *
+   * @param {string} name - Channel name from the manager
+   */
+  _rememberChannelName(name) {
+    const names = this._parseChannelSettings('channel_names')
+    const selected = this.module.getChannelIds()
+    const stale = Object.keys(names).filter((id) => !selected.includes(id))
+    if (names[this.channelId] === name && stale.length === 0) return
+
+    for (const id of stale) {
+      delete names[id]
+    }
+    names[this.channelId] = name
+    this.module.config.channel_names = JSON.stringify(names)
+    this.module.saveConfig(this.module.config)
+  }
+
   // ---------------------------------------------------------------------------
   // Instance Synchronization
   // ---------------------------------------------------------------------------
@@ -676,12 +2364,14 @@ class Engine {
    */
   _syncInstances(managerInstances) {
     const managerIds = new Set(managerInstances.map((i) => i.ID))
+    const previousOrder = this.instanceOrder.join(',')
 
     // Remove instances no longer in manager's list
     for (const [instanceId, state] of this.instances) {
       if (!managerIds.has(instanceId)) {
         this._log('info', `Instance removed from channel: ${this._fmtInstance(state)}`)
         this._closeInstanceConnection(instanceId)
+        this._clearPendingCommands(state, 'instance removed from channel')
         this.instances.delete(instanceId)
       }
     }
@@ -690,7 +2380,7 @@ class Engine {
     for (const inst of managerInstances) {
       if (!this.instances.has(inst.ID)) {
         // New instance
-        this._log('info', `Instance discovered: ${this._fmtInstanceDef(inst)} at ${inst.IPAddress}:${inst.ControlInterfacePortNumber}`)
+        this._log('info', `Instance discovered: ${this._fmtInstanceDef(inst)} at ${api.formatHost(inst.IPAddress)}:${inst.ControlInterfacePortNumber}`)
         const state = this._createInstanceState(inst)
         this.instances.set(inst.ID, state)
         this._openInstanceConnection(inst.ID)
@@ -707,6 +2397,15 @@ class Engine {
 
     // Store manager's ordering for primary fallback selection
     this.instanceOrder = managerInstances.map((i) => i.ID)
+
+    // Instance feedbacks and status presets are addressed by position, so any
+    // add/remove/reorder can change what they point at. Actions are refreshed
+    // so the target instance dropdown lists the current instances.
+    if (this.instanceOrder.join(',') !== previousOrder) {
+      this._checkInstanceFeedbacks()
+      this.module.initActions()
+      this.module.initPresets()
+    }
   }
 
   /**
@@ -724,8 +2423,11 @@ class Engine {
       apiPort: inst.APIPortNumber,
       controlPort: inst.ControlInterfacePortNumber,
 
-      // Health state (determined by WebSocket connectivity)
+      // Health state. healthy tracks WebSocket connectivity; healthIssue is the
+      // combined verdict of the health policy (see _getHealthIssue), null when
+      // the instance is fit to be primary.
       healthy: false,
+      healthIssue: HEALTH_ISSUE_DISCONNECTED,
 
       // Primary designation (from HTTP polling)
       primary: false,
@@ -737,8 +2439,26 @@ class Engine {
       ws: null,
       wsState: 'disconnected',
       reconnectTimer: null,
+      reconnectAttempts: 0,
+      reconnectDelay: null,
+      stableTimer: null,
       pendingPong: false,
       pongTimer: null,
+
+      // Connection statistics (published as instance_N_* variables)
+      connectedSince: null,
+      hasConnected: false,
+      reconnectCount: 0,
+      pingSentAt: null,
+      pingRtt: null,
+      lastVariableUpdate: null,
+
+      // Command acknowledgement: commands awaiting a response, oldest first
+      pendingCommands: [],
+      lastCommandResult: '',
+
+      // Map<variableId, {message, queuedAt}> - variable sets to replay on reconnect
+      replayQueue: new Map(),
     }
   }
 
@@ -747,8 +2467,9 @@ class Engine {
   // ---------------------------------------------------------------------------
 
   /**
-   * Polls each instance's /status endpoint to get authoritative primary
-   * designation. Health is determined by WebSocket connectivity, not HTTP.
+   * Polls each instance's /status endpoint for its authoritative primary
+   * designation and AdIT status, both of which feed the health policy (see
+   * _getHealthIssue), then re-runs primary selection.
    */
   async _pollInstanceStatuses() {
     // Nothing to poll if no instances configured
@@ -768,9 +2489,10 @@ class Engine {
   }
 
   /**
-   * Polls a single instance's status endpoint and updates its primary designation.
-   * Health state is determined by WebSocket connectivity, not HTTP polling.
-   * HTTP polling only provides AdIT's authoritative primary designation.
+   * Polls a single instance's status endpoint and updates its primary
+   * designation, AdIT status and consecutive failure count. The WebSocket is
+   * left alone; the health policy decides what the status and failures mean
+   * when _determinePrimary runs.
    *
    * @param {string} instanceId - Instance GUID
    * @param {object} state - InstanceState object
@@ -780,7 +2502,8 @@ class Engine {
       const result = await api.fetchInstanceStatus(
         state.ip,
         state.apiPort,
-        this.constants.HTTP_INSTANCE_STATUS_TIMEOUT
+        this.constants.HTTP_INSTANCE_STATUS_TIMEOUT,
+        this._getConnectionOptions()
       )
 
       // Log recovery from HTTP poll failures
@@ -800,8 +2523,9 @@ class Engine {
         this._log('warn', `${this._fmtInstance(state)} status endpoint unreachable: ${err.message}`)
       }
 
-      // Don't affect health state or WebSocket - HTTP poll is only for primary designation
-      // Keep last known primary designation until we can poll again
+      // Keep the last known primary designation and status until we can poll
+      // again; the failure count alone makes the instance unhealthy once it
+      // reaches the configured threshold
     }
   }
 
@@ -812,28 +2536,43 @@ class Engine {
   /**
    * Determines which instance should be treated as primary.
    *
-   * Uses sticky logic: keeps current primary if still healthy and reporting primary,
-   * only switches when necessary. This prevents unnecessary flapping and provides
-   * predictable behavior during split-brain scenarios.
+   * An eligible pinned instance always wins, and split-brain is resolved by
+   * the configured policy. Otherwise uses sticky logic: keeps current primary
+   * if still eligible and reporting primary, only switches when necessary.
+   * This prevents unnecessary flapping.
    */
   _determinePrimary() {
     const currentPrimary = this.effectivePrimaryId
       ? this.instances.get(this.effectivePrimaryId)
       : null
 
-    // Sticky: keep current if still valid (healthy AND reporting primary)
-    if (currentPrimary && currentPrimary.healthy && currentPrimary.primary) {
-      this._checkSplitBrain(currentPrimary)
+    this._updateInstanceHealth()
+    this._updateSplitBrainState()
+
+    // Operator pin overrides election while the pinned instance is eligible
+    const pinned = this.pinnedPrimaryId ? this.instances.get(this.pinnedPrimaryId) : null
+    if (pinned && this._isEligibleForPrimary(pinned)) {
+      this._applyPrimarySelection(currentPrimary, pinned, 'pinned')
       return
     }
 
-    // Also sticky: keep current if healthy, even if not reporting primary,
-    // as long as no other instance is reporting primary. This prevents
-    // log spam when an instance is healthy but hasn't elected itself primary.
     const healthyInstances = this._getHealthyInstancesInOrder()
     const reportingPrimary = healthyInstances.filter((s) => s.primary)
 
-    if (currentPrimary && currentPrimary.healthy && reportingPrimary.length === 0) {
+    if (reportingPrimary.length > 1) {
+      this._resolveSplitBrain(currentPrimary, reportingPrimary)
+      return
+    }
+
+    // Sticky: keep current if still valid (eligible AND reporting primary)
+    if (currentPrimary && this._isEligibleForPrimary(currentPrimary) && currentPrimary.primary) {
+      return
+    }
+
+    // Also sticky: keep current if eligible, even if not reporting primary,
+    // as long as no other instance is reporting primary. This prevents
+    // log spam when an instance is healthy but hasn't elected itself primary.
+    if (currentPrimary && this._isEligibleForPrimary(currentPrimary) && reportingPrimary.length === 0) {
       // Current is healthy, no one else is claiming primary - keep it
       return
     }
@@ -842,17 +2581,67 @@ class Engine {
     let newPrimary = null
     let selectionReason = null
 
-    if (reportingPrimary.length >= 1) {
+    if (reportingPrimary.length === 1) {
       newPrimary = reportingPrimary[0]
-      if (reportingPrimary.length > 1) {
-        const names = reportingPrimary.map((s) => this._fmtInstance(s)).join(', ')
-        this._log('error', `Split-brain: ${names} all report primary. Selecting ${this._fmtInstance(newPrimary)}`)
-      }
     } else if (healthyInstances.length > 0) {
       newPrimary = healthyInstances[0]
       selectionReason = 'fallback'
     }
 
+    this._applyPrimarySelection(currentPrimary, newPrimary, selectionReason)
+  }
+
+  /**
+   * Chooses the effective primary while more than one instance reports primary,
+   * according to the configured split-brain policy:
+   * - sticky: keep the current primary if it is among those reporting,
+   *   otherwise the first reporting instance in manager order
+   * - manager_order: always the first reporting instance in manager order
+   * - running: prefer reporting instances whose AdIT status is Running
+   *   (keeping the current one if it qualifies), otherwise behave as sticky
+   * - refuse: no effective primary, so no variable updates are applied and
+   *   primary-only commands are not sent until the conflict is resolved
+   *
+   * @param {object|null} currentPrimary - Current primary's InstanceState
+   * @param {Array<object>} reportingPrimary - Eligible instances reporting primary, in manager order
+   */
+  _resolveSplitBrain(currentPrimary, reportingPrimary) {
+    const policy = this.module.config.split_brain_policy || 'sticky'
+    const currentReporting = reportingPrimary.includes(currentPrimary) ? currentPrimary : null
+    let newPrimary
+
+    switch (policy) {
+      case 'refuse':
+        newPrimary = null
+        break
+      case 'manager_order':
+        newPrimary = reportingPrimary[0]
+        break
+      case 'running': {
+        const running = reportingPrimary.filter((s) => STATUS_NAMES[s.lastStatus] === 'Running')
+        if (currentReporting && running.includes(currentReporting)) {
+          newPrimary = currentReporting
+        } else {
+          newPrimary = running[0] ?? currentReporting ?? reportingPrimary[0]
+        }
+        break
+      }
+      default:
+        newPrimary = currentReporting ?? reportingPrimary[0]
+    }
+
+    this._applyPrimarySelection(currentPrimary, newPrimary, 'split-brain')
+  }
+
+  /**
+   * Makes newPrimary the effective primary, logging and refreshing feedbacks
+   * only on actual state transitions.
+   *
+   * @param {object|null} currentPrimary - Current primary's InstanceState
+   * @param {object|null} newPrimary - Selected InstanceState, or null for none
+   * @param {'pinned'|'fallback'|null} selectionReason - Why newPrimary was chosen
+   */
+  _applyPrimarySelection(currentPrimary, newPrimary, selectionReason) {
     const newPrimaryId = newPrimary?.id ?? null
 
     // Only log on actual state transitions
@@ -860,11 +2649,24 @@ class Engine {
       const oldLabel = currentPrimary ? this._fmtInstance(currentPrimary) : 'none'
       const newLabel = newPrimary ? this._fmtInstance(newPrimary) : 'none'
 
+      // Moving away from a pinned primary means the pin can't be honoured
+      if (currentPrimary && currentPrimary.id === this.pinnedPrimaryId && selectionReason !== 'pinned') {
+        this._log('warn', `Pinned primary ${oldLabel} is unavailable, using automatic selection`)
+      }
+
       if (newPrimary) {
         if (selectionReason === 'fallback') {
           this._log('warn', `No instance reporting primary. Falling back to ${newLabel}`)
         }
-        this._log('info', `Primary changed: ${oldLabel} -> ${newLabel}`)
+        let note = ''
+        if (selectionReason === 'pinned') {
+          note = ' (pinned)'
+        } else if (selectionReason === 'split-brain') {
+          note = ` (split-brain policy: ${this.module.config.split_brain_policy || 'sticky'})`
+        }
+        this._log('info', `Primary changed: ${oldLabel} -> ${newLabel}${note}`)
+      } else if (selectionReason === 'split-brain') {
+        this._log('error', `Split-brain policy is refuse: no effective primary until only one instance reports primary`)
       } else {
         // Transitioning to no primary - include diagnostic info
         const summary = this._getInstanceStatusSummary()
@@ -873,38 +2675,68 @@ class Engine {
 
       this.effectivePrimaryId = newPrimaryId
       this._logVariableSnapshot()
+      this.module.checkFeedbacks('instance_primary', 'no_primary', 'instance_state', 'redundancy_state')
     }
   }
 
   /**
-   * Checks for split-brain condition when we already have a valid primary.
-   * Logs error but doesn't switch, maintaining stability.
-   *
-   * @param {object} currentPrimary - Current primary's InstanceState
+   * Recomputes which instances are in split-brain from current instance state.
+   * Logs, publishes variables and refreshes feedbacks only when the set of
+   * conflicting instances changes, so a persistent split-brain isn't logged
+   * on every status poll.
    */
-  _checkSplitBrain(currentPrimary) {
-    const others = []
-    for (const [id, state] of this.instances) {
-      if (id !== currentPrimary.id && state.healthy && state.primary) {
-        others.push(state)
-      }
-    }
+  _updateSplitBrainState() {
+    const reporting = this._getHealthyInstancesInOrder().filter((s) => s.primary)
+    const ids = reporting.length > 1 ? reporting.map((s) => s.id) : []
 
-    if (others.length > 0) {
-      const otherLabels = others.map((s) => this._fmtInstance(s)).join(', ')
-      this._log('error', `Split-brain: ${this._fmtInstance(currentPrimary)} and ${otherLabels} all report primary. Staying with ${this._fmtInstance(currentPrimary)}`)
+    if (ids.join(',') === this.splitBrainIds.join(',')) return
+
+    const wasSplitBrain = this.splitBrainIds.length > 0
+    this.splitBrainIds = ids
+
+    if (ids.length > 0) {
+      const names = reporting.map((s) => this._fmtInstance(s)).join(', ')
+      const policy = this.module.config.split_brain_policy || 'sticky'
+      this._log('error', `Split-brain: ${names} all report primary (policy: ${policy})`)
+    } else if (wasSplitBrain) {
+      this._log('info', `Split-brain resolved`)
     }
+
+    this._publishSplitBrainVariables()
+    this.module.checkFeedbacks('split_brain', 'redundancy_state')
+  }
+
+  /**
+   * Publishes split-brain state to Companion variables.
+   */
+  _publishSplitBrainVariables() {
+    const names = this.splitBrainIds.map((id) => this.instances.get(id)?.name ?? id)
+    this._setVariableValues({
+      split_brain: names.length > 0 ? 'True' : 'False',
+      split_brain_instances: names.join(', '),
+    })
+  }
+
+  /**
+   * Returns whether an instance may be chosen as effective primary:
+   * it must pass the health policy and not be in maintenance.
+   *
+   * @param {object} state - InstanceState object
+   * @returns {boolean} True if eligible
+   */
+  _isEligibleForPrimary(state) {
+    return this._getHealthIssue(state) === null && !this.maintenanceIds.has(state.id)
   }
 
   /**
-   * Returns healthy instances in manager list order.
+   * Returns instances eligible for primary in manager list order.
    * Order matters for deterministic fallback selection.
    */
   _getHealthyInstancesInOrder() {
     const result = []
     for (const id of this.instanceOrder || []) {
       const state = this.instances.get(id)
-      if (state && state.healthy) {
+      if (state && this._isEligibleForPrimary(state)) {
         result.push(state)
       }
     }
@@ -918,7 +2750,11 @@ class Engine {
     const parts = []
     for (const [, state] of this.instances) {
       const connStatus = state.healthy ? 'connected' : 'disconnected'
-      parts.push(`${this._fmtInstance(state)} ${connStatus}`)
+      const notes = []
+      if (state.healthIssue && state.healthIssue !== HEALTH_ISSUE_DISCONNECTED) notes.push(state.healthIssue)
+      if (this.maintenanceIds.has(state.id)) notes.push('maintenance')
+      const suffix = notes.length > 0 ? ` (${notes.join(', ')})` : ''
+      parts.push(`${this._fmtInstance(state)} ${connStatus}${suffix}`)
     }
 
     if (parts.length === 0) {
@@ -944,6 +2780,58 @@ class Engine {
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // Health Policy
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Applies the health policy to an instance. An instance is unhealthy when
+   * its WebSocket is disconnected, when AdIT reports LicenseError or Error
+   * (unless disabled in config), or when its status endpoint has failed for
+   * the configured number of consecutive polls.
+   *
+   * @param {object} state - InstanceState object
+   * @returns {string|null} Reason the instance is unhealthy, or null if healthy
+   */
+  _getHealthIssue(state) {
+    const config = this.module.config
+
+    if (!state.healthy) {
+      return HEALTH_ISSUE_DISCONNECTED
+    }
+
+    const threshold = Number(config.status_failure_threshold) || DEFAULT_STATUS_FAILURE_THRESHOLD
+    if (state.statusPollFailures >= threshold) {
+      return `Status endpoint unreachable for ${state.statusPollFailures} polls`
+    }
+
+    const statusName = STATUS_NAMES[state.lastStatus]
+    if (config.exclude_unhealthy_status !== false && UNHEALTHY_STATUSES.has(statusName)) {
+      return `AdIT status ${statusName}`
+    }
+
+    return null
+  }
+
+  /**
+   * Re-evaluates the health policy for every instance and logs transitions
+   * caused by status codes or status endpoint failures.
+   */
+  _updateInstanceHealth() {
+    for (const [, state] of this.instances) {
+      const issue = this._getHealthIssue(state)
+      if (issue === state.healthIssue) continue
+
+      if (issue && issue !== HEALTH_ISSUE_DISCONNECTED) {
+        this._log('warn', `${this._fmtInstance(state)} unhealthy, excluded from primary selection: ${issue}`)
+      } else if (!issue && state.healthIssue !== HEALTH_ISSUE_DISCONNECTED) {
+        this._log('info', `${this._fmtInstance(state)} healthy again (was: ${state.healthIssue})`)
+      }
+
+      state.healthIssue = issue
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // WebSocket Management
   // ---------------------------------------------------------------------------
@@ -963,7 +2851,13 @@ class Engine {
       return // Already connecting or connected
     }
 
-    const url = `ws://${state.ip}:${state.controlPort}/${this.module.config.control_interface_id}`
+    const connection = this._getConnectionOptions()
+    const url = api.buildUrl(
+      connection.tls ? 'wss' : 'ws',
+      state.ip,
+      state.controlPort,
+      `/${this.module.config.control_interface_id}`
+    )
     state.wsState = 'connecting'
 
     // Capture instanceId by value in callbacks - this is the key fix for the
@@ -979,7 +2873,8 @@ class Engine {
     state.ws = websocket.createWebSocket(
       url,
       this.constants.WEBSOCKET_CONNECT_TIMEOUT,
-      callbacks
+      callbacks,
+      connection
     )
   }
 
@@ -998,6 +2893,8 @@ class Engine {
       clearTimeout(state.reconnectTimer)
       state.reconnectTimer = null
     }
+    clearTimeout(state.stableTimer)
+    state.stableTimer = null
 
     // Clear pong timeout
     if (state.pongTimer) {
@@ -1013,10 +2910,15 @@ class Engine {
     }
 
     state.wsState = 'disconnected'
+    state.connectedSince = null
+    state.pingSentAt = null
   }
 
   /**
-   * Schedules a reconnection attempt after the configured delay.
+   * Schedules a reconnection attempt with capped exponential backoff.
+   * The delay doubles from RECONNECT_DELAY on each consecutive failed attempt
+   * up to RECONNECT_MAX_DELAY, with jitter, and resets once a connection has
+   * stayed up for RECONNECT_STABLE_TIME.
    * Only one reconnect can be pending per instance to prevent accumulation.
    *
    * @param {string} instanceId - Instance GUID
@@ -1028,14 +2930,38 @@ class Engine {
     // Don't schedule if engine is stopped or reconnect already pending
     if (!this.running || state.reconnectTimer) return
 
+    const delay = this._getReconnectDelay(state.reconnectAttempts)
+    state.reconnectAttempts++
+    state.reconnectDelay = delay
+
+    if (this.module.config.verbose) {
+      this._log('debug', `Reconnect attempt ${state.reconnectAttempts} to ${this._fmtInstance(state)} in ${delay}ms`)
+    }
+
     state.reconnectTimer = setTimeout(() => {
       state.reconnectTimer = null
+      state.reconnectDelay = null
 
       // Check instance still exists and engine still running
       if (!this.running || !this.instances.has(instanceId)) return
 
       this._openInstanceConnection(instanceId)
-    }, this.constants.RECONNECT_DELAY)
+    }, delay)
+  }
+
+  /**
+   * Calculates the reconnect delay for a number of previous failed attempts.
+   *
+   * @param {number} attempts - Consecutive failed attempts so far
+   * @returns {number} Delay in ms
+   */
+  _getReconnectDelay(attempts) {
+    const base = this.constants.RECONNECT_DELAY
+    const max = Math.max(base, this.constants.RECONNECT_MAX_DELAY ?? base)
+    // Cap the exponent too, so a host that's been down for days can't overflow
+    const capped = Math.min(max, base * 2 ** Math.min(attempts, 16))
+    const jitter = 1 + (Math.random() * 2 - 1) * RECONNECT_JITTER
+    return Math.round(Math.min(max, capped * jitter))
   }
 
   // ---------------------------------------------------------------------------
@@ -1049,6 +2975,22 @@ class Engine {
     const wasReconnect = state.wsState === 'connecting' && !state.healthy
     state.wsState = 'connected'
     state.healthy = true
+    state.connectedSince = Date.now()
+
+    if (state.hasConnected) {
+      state.reconnectCount++
+    }
+    state.hasConnected = true
+    state.reconnectDelay = null
+
+    // Reset the backoff (and its variables) once the connection is stable
+    clearTimeout(state.stableTimer)
+    state.stableTimer = setTimeout(() => {
+      state.stableTimer = null
+      if (state.reconnectAttempts === 0) return
+      state.reconnectAttempts = 0
+      this._updateInstanceVariables()
+    }, RECONNECT_STABLE_TIME)
 
     if (wasReconnect) {
       this._log('info', `Reconnected to ${this._fmtInstance(state)}`)
@@ -1056,6 +2998,9 @@ class Engine {
       this._log('info', `Connected to ${this._fmtInstance(state)}`)
     }
 
+    this._flushReplayQueue(state)
+
+    this._checkInstanceFeedbacks()
     this._updateModuleStatus()
   }
 
@@ -1067,6 +3012,10 @@ class Engine {
     state.wsState = 'disconnected'
     state.ws = null
     state.healthy = false
+    state.connectedSince = null
+    state.pingSentAt = null
+    clearTimeout(state.stableTimer)
+    state.stableTimer = null
 
     // Clear pong state
     if (state.pongTimer) {
@@ -1080,7 +3029,35 @@ class Engine {
       this._log('warn', `Disconnected from ${this._fmtInstance(state)} (code: ${code})`)
     }
 
+    this._handleConnectionLost(instanceId)
+  }
+
+  /**
+   * Closes a connection whose pong didn't arrive in time. The socket is
+   * detached first, so _handleWsClose doesn't run for it.
+   *
+   * @param {string} instanceId - Instance GUID
+   */
+  _handlePongTimeout(instanceId) {
+    const state = this.instances.get(instanceId)
+    if (!state) return
+
+    this._log('warn', `Pong timeout for ${this._fmtInstance(state)}, closing connection`)
+    this._closeInstanceConnection(instanceId)
+    state.healthy = false
+    this._handleConnectionLost(instanceId)
+  }
+
+  /**
+   * Schedules a reconnect and re-evaluates primary selection, feedbacks and
+   * status after an instance's connection was lost, whether it closed or
+   * stopped answering pings.
+   *
+   * @param {string} instanceId - Instance GUID
+   */
+  _handleConnectionLost(instanceId) {
     this._scheduleReconnect(instanceId)
+    this._checkInstanceFeedbacks()
     this._determinePrimary()
     this._updateModuleStatus()
   }
@@ -1118,9 +3095,14 @@ class Engine {
         this._log('debug', `Failed to parse message from ${this._fmtInstance(state)}: ${err.message}`)
         return
       }
+      if (!result) return
+
+      const [rootName] = Object.keys(result)
 
       if (result.Variable) {
         this._handleVariableUpdate(instanceId, result.Variable)
+      } else if (rootName.endsWith('Response') || rootName.endsWith('Error')) {
+        this._handleCommandResponse(instanceId, rootName, result[rootName])
       }
       // Other message types can be added here as needed
     })
@@ -1137,8 +3119,17 @@ class Engine {
     const variableId = variable.$.ID
     const value = variable._
 
+    // Track activity from every instance, not just the primary, so a backup
+    // that has gone quiet is visible on a monitoring page
+    const sender = this.instances.get(instanceId)
+    if (sender) {
+      sender.lastVariableUpdate = Date.now()
+    }
+
     if (instanceId === this.effectivePrimaryId) {
-      this.module.setVariableValues({ [variableId]: value })
+      this.variableValues.set(variableId, value)
+      this._setVariableValues({ [variableId]: value })
+      this.module.checkFeedbacks('variable_value')
 
       if (this.module.config.verbose) {
         const state = this.instances.get(instanceId)
@@ -1159,6 +3150,11 @@ class Engine {
       clearTimeout(state.pongTimer)
       state.pongTimer = null
     }
+
+    if (state.pingSentAt) {
+      state.pingRtt = Date.now() - state.pingSentAt
+      state.pingSentAt = null
+    }
   }
 
   // ---------------------------------------------------------------------------
@@ -1175,27 +3171,18 @@ class Engine {
 
       // If we're still waiting for a pong from the last ping, connection is dead
       if (state.pendingPong) {
-        this._log('warn', `Pong timeout for ${this._fmtInstance(state)}, closing connection`)
-        this._closeInstanceConnection(instanceId)
-        state.healthy = false
-        this._scheduleReconnect(instanceId)
-        this._determinePrimary()
-        this._updateModuleStatus()
+        this._handlePongTimeout(instanceId)
         continue
       }
 
       websocket.sendPing(state.ws)
       state.pendingPong = true
+      state.pingSentAt = Date.now()
 
       // Set timeout for pong response
       state.pongTimer = setTimeout(() => {
         if (state.pendingPong && this.instances.has(instanceId)) {
-          this._log('warn', `Pong timeout for ${this._fmtInstance(state)}, closing connection`)
-          this._closeInstanceConnection(instanceId)
-          state.healthy = false
-          this._scheduleReconnect(instanceId)
-          this._determinePrimary()
-          this._updateModuleStatus()
+          this._handlePongTimeout(instanceId)
         }
       }, this.constants.WEBSOCKET_PONG_TIMEOUT)
     }
@@ -1212,8 +3199,7 @@ class Engine {
    * Only calls module.updateStatus when status actually changes to prevent log spam.
    */
   _updateModuleStatus() {
-    const config = this.module.config
-    const hasChannel = config.channel && config.channel !== 'none'
+    const hasChannel = !!this.channelId
 
     // Collect all current issues
     const issues = []
@@ -1231,6 +3217,14 @@ class Engine {
       issues.push('No channel selected')
     }
 
+    if (this.managerReachable && this.channelMissing) {
+      issues.push(
+        this.rebindCandidate
+          ? `Channel no longer exists on manager (rebind to '${this.rebindCandidate.name}' available)`
+          : 'Channel no longer exists on manager'
+      )
+    }
+
     // Check instance states (only if we have a channel)
     if (hasChannel) {
       if (this.instances.size === 0) {
@@ -1253,8 +3247,12 @@ class Engine {
           issues.push('No primary instance')
         }
 
+        if (this.splitBrainIds.length > 0) {
+          issues.push('Split-brain: multiple instances report primary')
+        }
+
         // Update instance-related variables when we have a channel
-        this.module.setVariableValues({
+        this._setVariableValues({
           instances_connected: connectedCount,
           primary_instance_id: primary?.id ?? '',
           primary_instance_name: primary?.name ?? '',
@@ -1268,8 +3266,9 @@ class Engine {
     if (issues.length === 0) {
       // All good
       const primary = this.instances.get(this.effectivePrimaryId)
+      const pinnedNote = primary.id === this.pinnedPrimaryId ? ' (pinned)' : ''
       newStatus = 'ok'
-      newMessage = `Primary: ${this._fmtInstance(primary)}`
+      newMessage = `Primary: ${this._fmtInstance(primary)}${pinnedNote}`
     } else if (managerDown && instancesDown) {
       // Both manager and instances down - red disconnected
       newStatus = 'disconnected'
@@ -1280,14 +3279,37 @@ class Engine {
       newMessage = issues.join('\n')
     }
 
-    // Only update if status or message changed
+    // Operator overrides aren't problems, but should be visible at a glance
+    const maintenance = []
+    for (const [id, state] of this.instances) {
+      if (this.maintenanceIds.has(id)) maintenance.push(this._fmtInstance(state))
+    }
+    if (maintenance.length > 0) {
+      newMessage += `\nMaintenance: ${maintenance.join(', ')}`
+    }
+
+    // Only update if status or message changed. The module combines the
+    // status of every channel's engine into the connection status.
     if (newStatus !== this.currentStatus || newMessage !== this.currentStatusMessage) {
       this.currentStatus = newStatus
       this.currentStatusMessage = newMessage
-      this.module.updateStatus(newStatus, newMessage)
+      this.module.updateEngineStatus()
     }
   }
 
+  /**
+   * Re-evaluates all feedbacks that depend on per-instance connection state.
+   */
+  _checkInstanceFeedbacks() {
+    this.module.checkFeedbacks(
+      'instance_connected',
+      'instance_primary',
+      'no_primary',
+      'instance_state',
+      'redundancy_state'
+    )
+  }
+
   /**
    * Updates Companion variables for each instance's state.
    */
@@ -1306,12 +3328,27 @@ class Engine {
       values[`instance_${index}_port_number`] = state.controlPort
       values[`instance_${index}_connected`] = state.wsState === 'connected' ? 'True' : 'False'
       values[`instance_${index}_primary`] = state.id === this.effectivePrimaryId ? 'True' : 'False'
+      values[`instance_${index}_last_command_result`] = state.lastCommandResult
+      values[`instance_${index}_maintenance`] = this.maintenanceIds.has(state.id) ? 'True' : 'False'
+      values[`instance_${index}_healthy`] = state.healthIssue ? 'False' : 'True'
+      values[`instance_${index}_health_reason`] = state.healthIssue ?? ''
+      values[`instance_${index}_status`] = STATUS_NAMES[state.lastStatus] ?? ''
+      values[`instance_${index}_ping_ms`] = state.pingRtt ?? ''
+      values[`instance_${index}_connected_since`] = this._formatTime(state.connectedSince)
+      values[`instance_${index}_uptime`] = state.connectedSince ? this._formatDuration(Date.now() - state.connectedSince) : ''
+      values[`instance_${index}_reconnects`] = state.reconnectCount
+      values[`instance_${index}_reconnect_attempt`] = state.reconnectAttempts
+      values[`instance_${index}_reconnect_delay_ms`] = state.reconnectDelay ?? ''
+      values[`instance_${index}_status_poll_failures`] = state.statusPollFailures
+      values[`instance_${index}_last_variable_update`] = this._formatTime(state.lastVariableUpdate)
 
       index++
     }
 
     values.instances_registered = this.instances.size
-    this.module.setVariableValues(values)
+    values.primary_pinned = this.pinnedPrimaryId ? 'True' : 'False'
+    this._setVariableValues(values)
+    this._publishSplitBrainVariables()
   }
 
   /**
@@ -1324,6 +3361,23 @@ class Engine {
       { variableId: 'primary_instance_name', name: 'Primary Instance Name' },
       { variableId: 'instances_connected', name: 'Number of Connected Instances' },
       { variableId: 'instances_registered', name: 'Number of Registered Instances' },
+      { variableId: 'primary_pinned', name: 'Primary Pinned By Operator' },
+      { variableId: 'active_manager', name: 'Active Management Service' },
+      { variableId: 'split_brain', name: 'Split-Brain Detected' },
+      { variableId: 'split_brain_instances', name: 'Instances Reporting Primary During Split-Brain' },
+      { variableId: 'last_command', name: 'Last Command' },
+      { variableId: 'last_command_result', name: 'Last Command Result' },
+      { variableId: 'last_command_time', name: 'Last Command Time' },
+      { variableId: 'last_command_detail', name: 'Last Command Error Detail' },
+      { variableId: 'armed_rules', name: 'Armed Messaging Rules' },
+      { variableId: 'last_blocked_fire', name: 'Last Blocked Rule Fire' },
+      { variableId: 'last_blocked_fire_reason', name: 'Last Blocked Rule Fire Reason' },
+      { variableId: 'last_blocked_fire_time', name: 'Last Blocked Rule Fire Time' },
+      { variableId: 'blocked_fire_count', name: 'Blocked Rule Fires' },
+      { variableId: 'next_scheduled_rule', name: 'Next Scheduled Messaging Rule' },
+      { variableId: 'next_scheduled_time', name: 'Next Scheduled Rule Time' },
+      { variableId: 'next_scheduled_countdown', name: 'Next Scheduled Rule Countdown' },
+      { variableId: 'scheduled_count', name: 'Number of Scheduled Rule Evaluations' },
     ]
 
     // Instance variables
@@ -1339,6 +3393,19 @@ class Engine {
       defs.push({ variableId: `instance_${index}_port_number`, name: `Instance ${index} Port Number` })
       defs.push({ variableId: `instance_${index}_connected`, name: `Instance ${index} Connected` })
       defs.push({ variableId: `instance_${index}_primary`, name: `Instance ${index} Primary` })
+      defs.push({ variableId: `instance_${index}_last_command_result`, name: `Instance ${index} Last Command Result` })
+      defs.push({ variableId: `instance_${index}_maintenance`, name: `Instance ${index} In Maintenance` })
+      defs.push({ variableId: `instance_${index}_healthy`, name: `Instance ${index} Healthy` })
+      defs.push({ variableId: `instance_${index}_health_reason`, name: `Instance ${index} Health Issue` })
+      defs.push({ variableId: `instance_${index}_status`, name: `Instance ${index} AdIT Status` })
+      defs.push({ variableId: `instance_${index}_ping_ms`, name: `Instance ${index} Ping Round-Trip (ms)` })
+      defs.push({ variableId: `instance_${index}_connected_since`, name: `Instance ${index} Connected Since` })
+      defs.push({ variableId: `instance_${index}_uptime`, name: `Instance ${index} Connection Uptime` })
+      defs.push({ variableId: `instance_${index}_reconnects`, name: `Instance ${index} Reconnect Count` })
+      defs.push({ variableId: `instance_${index}_reconnect_attempt`, name: `Instance ${index} Failed Reconnect Attempts` })
+      defs.push({ variableId: `instance_${index}_reconnect_delay_ms`, name: `Instance ${index} Next Reconnect Delay (ms)` })
+      defs.push({ variableId: `instance_${index}_status_poll_failures`, name: `Instance ${index} Status Poll Failures` })
+      defs.push({ variableId: `instance_${index}_last_variable_update`, name: `Instance ${index} Last Variable Update` })
 
       index++
     }
@@ -1351,11 +3418,43 @@ class Engine {
     // Only update and log if count changed
     if (defs.length !== this.lastVariableDefCount) {
       this.lastVariableDefCount = defs.length
-      this.module.setVariableDefinitions(defs)
+      this.moduleVariableDefinitions = defs.map((def) => ({
+        variableId: this.variablePrefix + def.variableId,
+        name: this.variablePrefix ? `Channel ${this.channelNumber}: ${def.name}` : def.name,
+      }))
+      this.module.initVariables()
       this._log('info', `Variable definitions updated (${defs.length} variables)`)
     }
   }
 
+  /**
+   * Returns the Companion variable definitions for this channel, with the
+   * channel prefix applied. Combined across channels by initVariables.
+   *
+   * @returns {Array<{variableId: string, name: string}>} Variable definitions
+   */
+  getModuleVariableDefinitions() {
+    return this.moduleVariableDefinitions
+  }
+
+  /**
+   * Sets Companion variable values, applying this channel's variable prefix.
+   *
+   * @param {object} values - Values keyed by unprefixed variable ID
+   */
+  _setVariableValues(values) {
+    if (!this.variablePrefix) {
+      this.module.setVariableValues(values)
+      return
+    }
+
+    const prefixed = {}
+    for (const [id, value] of Object.entries(values)) {
+      prefixed[this.variablePrefix + id] = value
+    }
+    this.module.setVariableValues(prefixed)
+  }
+
   /**
    * Logs a message through the module's logging system.
    *
@@ -1363,6 +3462,11 @@ class Engine {
    * @param {string} message - Message to log
    */
   _log(level, message) {
+    if (this.module.engines?.length > 1) {
+      const label = this.getActiveChannelName() || `Channel ${this.slot + 1}`
+      this.module.log(level, `[${label}] ${message}`)
+      return
+    }
     this.module.log(level, message)
   }
 }
@@ -1,5 +1,417 @@
+/**
+ * @fileoverview Companion feedback definitions for AdIT state
+ *
+ * Defines feedbacks for instance connectivity, effective primary selection,
+ * redundancy problems (no primary, split-brain), manager/cache state, command
+ * delivery results, armed and scheduled messaging rules, and comparisons
+ * against AdIT variable values received from the effective primary.
+ * Feedbacks read engine state directly; the engine calls checkFeedbacks()
+ * whenever the underlying state transitions. Instance, redundancy, manager
+ * and command feedbacks follow the channel chosen in their Channel option
+ * (the first selected channel by default); variable comparisons use
+ * whichever channel defines the variable.
+ *
+ * @module companion-module-middleman-adit/feedbacks
+ */
 const { combineRgb } = require('@companion-module/base')
 
+// Shared option for feedbacks that target a single instance. Uses the same
+// 1-based numbering as the instance_N_* variables so buttons and variables line up.
+const INSTANCE_NUMBER_OPTION = {
+	type: 'number',
+	id: 'instance',
+	label: 'Instance Number',
+	tooltip: 'Position of the instance in the manager list (matches the instance_N variables)',
+	default: 1,
+	min: 1,
+	max: 100,
+	required: true,
+}
+
+/**
+ * Compares a variable's current value against an operand.
+ * Numeric operators return false when either side isn't a number, and an
+ * invalid regex never matches, so a half-typed option can't light a button.
+ *
+ * @param {string|undefined} current - Current variable value
+ * @param {string} operator - One of eq, ne, contains, gt, lt, regex
+ * @param {string} operand - Value to compare against
+ * @returns {boolean} Comparison result
+ */
+function compareValue(current, operator, operand) {
+	if (current === undefined) return false
+	const value = String(current)
+
+	switch (operator) {
+		case 'eq':
+			return value === operand
+		case 'ne':
+			return value !== operand
+		case 'contains':
+			return value.includes(operand)
+		case 'gt':
+		case 'lt': {
+			const a = parseFloat(value)
+			const b = parseFloat(operand)
+			if (isNaN(a) || isNaN(b)) return false
+			return operator === 'gt' ? a > b : a < b
+		}
+		case 'regex':
+			try {
+				return new RegExp(operand).test(value)
+			} catch {
+				return false
+			}
+		default:
+			return false
+	}
+}
+
 module.exports = {
-	initFeedbacks() {},
+	initFeedbacks() {
+		let self = this
+
+		const colorWhite = combineRgb(255, 255, 255)
+		const colorBlack = combineRgb(0, 0, 0)
+		const colorGreen = combineRgb(0, 153, 0)
+		const colorAmber = combineRgb(255, 153, 0)
+		const colorRed = combineRgb(204, 0, 0)
+
+		// Shared by feedbacks that read one channel's state. The choice is only
+		// shown when more than one channel is selected; feedbacks saved before
+		// it existed have no channel and follow the first one.
+		const channelChoices = self.getSelectedChannelChoices()
+		const channelOption = {
+			type: 'dropdown',
+			id: 'channel',
+			label: 'Channel',
+			width: 12,
+			choices: channelChoices,
+			default: channelChoices[0]?.id ?? '',
+			isVisible: (options, data) => data.multiple,
+			isVisibleData: { multiple: channelChoices.length > 1 },
+		}
+
+		self.setFeedbackDefinitions({
+			instance_connected: {
+				type: 'boolean',
+				name: 'Instance Connected',
+				description: 'True while the control interface WebSocket to the instance is connected',
+				defaultStyle: {
+					bgcolor: colorGreen,
+					color: colorWhite,
+				},
+				options: [channelOption, INSTANCE_NUMBER_OPTION],
+				callback: (feedback) => {
+					const state = self.getEngine(feedback.options.channel)?.getInstanceByIndex(feedback.options.instance)
+					return state?.wsState === 'connected'
+				},
+			},
+			instance_primary: {
+				type: 'boolean',
+				name: 'Instance Is Effective Primary',
+				description: 'True while the instance is the one variable updates are taken from',
+				defaultStyle: {
+					bgcolor: colorGreen,
+					color: colorWhite,
+				},
+				options: [channelOption, INSTANCE_NUMBER_OPTION],
+				callback: (feedback) => {
+					const engine = self.getEngine(feedback.options.channel)
+					const state = engine?.getInstanceByIndex(feedback.options.instance)
+					return !!state && state.id === engine.getEffectivePrimaryId()
+				},
+			},
+			no_primary: {
+				type: 'boolean',
+				name: 'No Effective Primary',
+				description: 'True when instances are registered but none is usable as primary',
+				defaultStyle: {
+					bgcolor: colorRed,
+					color: colorWhite,
+				},
+				options: [channelOption],
+				callback: (feedback) => {
+					const engine = self.getEngine(feedback.options.channel)
+					if (!engine || engine.instances.size === 0) return false
+					return engine.getEffectivePrimaryId() === null
+				},
+			},
+			split_brain: {
+				type: 'boolean',
+				name: 'Split-Brain Detected',
+				description: 'True when more than one connected instance reports itself as primary',
+				defaultStyle: {
+					bgcolor: colorRed,
+					color: colorWhite,
+				},
+				options: [channelOption],
+				callback: (feedback) => {
+					return self.getEngine(feedback.options.channel)?.isSplitBrain() ?? false
+				},
+			},
+			manager_reachable: {
+				type: 'boolean',
+				name: 'Manager Reachable',
+				description: 'True while the AdIT Management Service is responding',
+				defaultStyle: {
+					bgcolor: colorGreen,
+					color: colorWhite,
+				},
+				options: [channelOption],
+				callback: (feedback) => {
+					return self.getEngine(feedback.options.channel)?.isManagerReachable() === true
+				},
+			},
+			using_cached_definitions: {
+				type: 'boolean',
+				name: 'Running From Cached Definitions',
+				description: 'True while rules, variables and instances come from the offline cache instead of the manager',
+				defaultStyle: {
+					bgcolor: colorAmber,
+					color: colorBlack,
+				},
+				options: [channelOption],
+				callback: (feedback) => {
+					return self.getEngine(feedback.options.channel)?.isUsingCachedDefinitions() ?? false
+				},
+			},
+			variable_value: {
+				type: 'boolean',
+				name: 'Variable Value Comparison',
+				description: 'Compares an AdIT variable value, as received from the effective primary, against a value',
+				defaultStyle: {
+					bgcolor: colorRed,
+					color: colorWhite,
+				},
+				options: [
+					{
+						type: 'dropdown',
+						id: 'variable',
+						label: 'Variable',
+						width: 6,
+						choices: self.getVariableChoices(),
+						required: true,
+					},
+					{
+						type: 'dropdown',
+						id: 'operator',
+						label: 'Comparison',
+						width: 6,
+						default: 'eq',
+						choices: [
+							{ id: 'eq', label: 'Equals' },
+							{ id: 'ne', label: 'Does not equal' },
+							{ id: 'contains', label: 'Contains' },
+							{ id: 'gt', label: 'Greater than (numeric)' },
+							{ id: 'lt', label: 'Less than (numeric)' },
+							{ id: 'regex', label: 'Matches regular expression' },
+						],
+					},
+					{
+						type: 'textinput',
+						id: 'value',
+						label: 'Value',
+						default: '',
+						useVariables: true,
+					},
+				],
+				callback: async (feedback, context) => {
+					const variableId = self.resolveDefinitionId(feedback.options.variable)
+					const engine = self.getEngineForVariable(variableId) ?? self.engine
+					const current = engine?.getVariableValue(variableId)
+					const operand = await context.parseVariablesInString(feedback.options.value ?? '')
+					return compareValue(current, feedback.options.operator, operand)
+				},
+			},
+			last_command_failed: {
+				type: 'boolean',
+				name: 'Last Command Failed',
+				description:
+					'True when the last command was rejected by an instance, was cancelled, or could not be sent. No response is not a failure',
+				defaultStyle: {
+					bgcolor: colorRed,
+					color: colorWhite,
+				},
+				options: [
+					channelOption,
+					{
+						type: 'dropdown',
+						id: 'command',
+						label: 'Command',
+						width: 6,
+						default: 'any',
+						choices: [{ id: 'any', label: 'Any command' }, ...self.getManualRuleChoices()],
+					},
+				],
+				callback: (feedback) => {
+					const targetId =
+						feedback.options.command === 'any' ? undefined : self.resolveDefinitionId(feedback.options.command)
+					return self.getEngine(feedback.options.channel)?.didLastCommandFail(targetId) ?? false
+				},
+			},
+			rule_armed: {
+				type: 'boolean',
+				name: 'Messaging Rule Armed',
+				description: 'True while a rule is armed by an action set to arm first, waiting for the press that fires it',
+				defaultStyle: {
+					bgcolor: colorAmber,
+					color: colorBlack,
+				},
+				options: [
+					{
+						type: 'dropdown',
+						id: 'rule',
+						label: 'Messaging Rule',
+						width: 6,
+						default: 'any',
+						choices: [{ id: 'any', label: 'Any rule' }, ...self.getManualRuleChoices()],
+					},
+				],
+				callback: (feedback) => {
+					if (feedback.options.rule === 'any') {
+						return self.engines.some((engine) => engine.isRuleArmed())
+					}
+					const ruleId = self.resolveDefinitionId(feedback.options.rule)
+					return self.engines.some((engine) => engine.isRuleArmed(ruleId))
+				},
+			},
+			rule_scheduled: {
+				type: 'boolean',
+				name: 'Messaging Rule Scheduled',
+				description: 'True while a rule evaluation is scheduled, optionally only in its last seconds',
+				defaultStyle: {
+					bgcolor: colorAmber,
+					color: colorBlack,
+				},
+				options: [
+					{
+						type: 'dropdown',
+						id: 'rule',
+						label: 'Messaging Rule',
+						width: 6,
+						default: 'any',
+						choices: [{ id: 'any', label: 'Any rule' }, ...self.getManualRuleChoices()],
+					},
+					{
+						type: 'number',
+						id: 'within',
+						label: 'Due Within (seconds)',
+						tooltip: '0 for any time',
+						width: 6,
+						default: 0,
+						min: 0,
+						max: 86400,
+					},
+				],
+				callback: (feedback) => {
+					const ruleId = feedback.options.rule === 'any' ? undefined : self.resolveDefinitionId(feedback.options.rule)
+					const withinMs = (Number(feedback.options.within) || 0) * 1000
+					return self.engines.some((engine) => engine.isRuleScheduled(ruleId, withinMs))
+				},
+			},
+			instance_state: {
+				type: 'advanced',
+				name: 'Instance State',
+				description: 'Colors a button by instance state: effective primary, connected backup, or disconnected',
+				options: [
+					channelOption,
+					INSTANCE_NUMBER_OPTION,
+					{
+						type: 'colorpicker',
+						label: 'Primary: Background Color',
+						id: 'primary_bg',
+						default: colorGreen,
+					},
+					{
+						type: 'colorpicker',
+						label: 'Connected Backup: Background Color',
+						id: 'backup_bg',
+						default: colorAmber,
+					},
+					{
+						type: 'colorpicker',
+						label: 'Disconnected: Background Color',
+						id: 'disconnected_bg',
+						default: colorRed,
+					},
+					{
+						type: 'colorpicker',
+						label: 'Text Color',
+						id: 'fg',
+						default: colorWhite,
+					},
+				],
+				callback: (feedback) => {
+					const engine = self.getEngine(feedback.options.channel)
+					const state = engine?.getInstanceByIndex(feedback.options.instance)
+					if (!state) return {}
+
+					let bgcolor
+					if (state.id === engine.getEffectivePrimaryId()) {
+						bgcolor = feedback.options.primary_bg
+					} else if (state.wsState === 'connected') {
+						bgcolor = feedback.options.backup_bg
+					} else {
+						bgcolor = feedback.options.disconnected_bg
+					}
+
+					return { bgcolor, color: feedback.options.fg }
+				},
+			},
+			redundancy_state: {
+				type: 'advanced',
+				name: 'Redundancy State',
+				description:
+					'Colors a button by overall redundancy: all instances connected, degraded, or no primary / split-brain',
+				options: [
+					channelOption,
+					{
+						type: 'colorpicker',
+						label: 'All Connected: Background Color',
+						id: 'ok_bg',
+						default: colorGreen,
+					},
+					{
+						type: 'colorpicker',
+						label: 'Degraded: Background Color',
+						id: 'degraded_bg',
+						default: colorAmber,
+					},
+					{
+						type: 'colorpicker',
+						label: 'No Primary / Split-Brain: Background Color',
+						id: 'fault_bg',
+						default: colorRed,
+					},
+					{
+						type: 'colorpicker',
+						label: 'Text Color',
+						id: 'fg',
+						default: colorWhite,
+					},
+				],
+				callback: (feedback) => {
+					const engine = self.getEngine(feedback.options.channel)
+					if (!engine || engine.instances.size === 0) return {}
+
+					let connectedCount = 0
+					for (const [, state] of engine.instances) {
+						if (state.wsState === 'connected') connectedCount++
+					}
+
+					let bgcolor
+					if (engine.getEffectivePrimaryId() === null || engine.isSplitBrain()) {
+						bgcolor = feedback.options.fault_bg
+					} else if (connectedCount < engine.instances.size) {
+						bgcolor = feedback.options.degraded_bg
+					} else {
+						bgcolor = feedback.options.ok_bg
+					}
+
+					return { bgcolor, color: feedback.options.fg }
+				},
+			},
+		})
+	},
 }
@@ -1,7 +1,149 @@
+/**
+ * @fileoverview Companion preset definitions generated from engine definitions
+ *
+ * Builds one preset category per selected channel, containing a button per
+ * manual messaging rule, a value display button per AdIT variable and a
+ * status button per registered instance. Regenerated by the engine whenever
+ * rule, variable or instance definitions change.
+ *
+ * @module companion-module-middleman-adit/presets
+ */
+const { combineRgb } = require('@companion-module/base')
+
 module.exports = {
 	initPresets() {
-		let presets = []
+		let self = this
+		let presets = {}
+
+		if (!self.engine) {
+			self.setPresetDefinitions(presets)
+			return
+		}
+
+		const colorWhite = combineRgb(255, 255, 255)
+		const colorBlack = combineRgb(0, 0, 0)
+		const colorGreen = combineRgb(0, 153, 0)
+		const colorDarkGrey = combineRgb(51, 51, 51)
+		const colorRed = combineRgb(204, 0, 0)
+
+		for (const channelEngine of self.engines) {
+			if (!channelEngine.channelId) continue
+
+			const category = channelEngine.getActiveChannelName() || 'AdIT'
+			const suffix = channelEngine.slot === 0 ? '' : `_ch${channelEngine.channelNumber}`
+
+			// Messaging rules
+			const rules = channelEngine.getManualRuleDefinitions()
+			if (rules.length > 0) {
+				presets[`header_rules${suffix}`] = {
+					type: 'text',
+					category,
+					name: 'Messaging Rules',
+					text: 'Fire a manual messaging rule on all connected instances',
+				}
+			}
+
+			for (const rule of rules) {
+				presets[`rule_${rule.ID}`] = {
+					type: 'button',
+					category,
+					name: `Fire ${rule.Name}`,
+					style: {
+						text: rule.Name,
+						size: 'auto',
+						color: colorWhite,
+						bgcolor: colorBlack,
+					},
+					steps: [
+						{
+							down: [
+								{
+									actionId: 'evaluate_manual_rule',
+									options: {
+										channel: channelEngine.channelId,
+										messaging_rule: rule.ID,
+									},
+								},
+							],
+							up: [],
+						},
+					],
+					feedbacks: [],
+				}
+			}
+
+			// Variable values
+			const variables = channelEngine.getVariableDefinitions()
+			if (variables.length > 0) {
+				presets[`header_variables${suffix}`] = {
+					type: 'text',
+					category,
+					name: 'Variables',
+					text: 'Show the current value of an AdIT variable, as received from the effective primary',
+				}
+			}
+
+			for (const variable of variables) {
+				presets[`variable_${variable.ID}`] = {
+					type: 'button',
+					category,
+					name: `Show ${variable.Name}`,
+					style: {
+						text: `${variable.Name}\\n$(${self.label}:${channelEngine.variablePrefix}${variable.ID})`,
+						size: 'auto',
+						color: colorWhite,
+						bgcolor: colorDarkGrey,
+					},
+					steps: [],
+					feedbacks: [],
+				}
+			}
+
+			// Instance status, numbered to match the instance_N variables and feedbacks
+			if (channelEngine.instanceOrder.length > 0) {
+				presets[`header_instances${suffix}`] = {
+					type: 'text',
+					category,
+					name: 'Instances',
+					text: 'Connection and primary status of each registered instance',
+				}
+			}
+
+			channelEngine.instanceOrder.forEach((id, i) => {
+				const index = i + 1
+				presets[`instance_${index}_status${suffix}`] = {
+					type: 'button',
+					category,
+					name: `Instance ${index} Status`,
+					style: {
+						text: `$(${self.label}:${channelEngine.variablePrefix}instance_${index}_name)`,
+						size: 'auto',
+						color: colorWhite,
+						bgcolor: colorRed,
+					},
+					steps: [],
+					feedbacks: [
+						{
+							feedbackId: 'instance_connected',
+							options: { channel: channelEngine.channelId, instance: index },
+							style: {
+								bgcolor: colorDarkGrey,
+								color: colorWhite,
+							},
+						},
+						{
+							feedbackId: 'instance_primary',
+							options: { channel: channelEngine.channelId, instance: index },
+							style: {
+								bgcolor: colorGreen,
+								color: colorWhite,
+							},
+						},
+					],
+				}
+			})
+		}
 
-		this.setPresetDefinitions(presets)
+		self.setPresetDefinitions(presets)
 	},
 }
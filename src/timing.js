@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Timing constants for network operations and their config fields
+ *
+ * The defaults below apply until a value is set in the connection's
+ * "Advanced Timing" config section. Values from config are clamped to the
+ * same bounds the config fields enforce, so a hand-edited or imported config
+ * can't produce a zero interval or a timeout that never fires.
+ *
+ * @module companion-module-middleman-adit/timing
+ */
+
+/**
+ * Default timing constants.
+ *
+ * @constant {Object}
+ * @property {number} HTTP_MANAGER_TIMEOUT - Timeout for manager API requests (ms)
+ * @property {number} HTTP_INSTANCE_STATUS_TIMEOUT - Timeout for instance status polls (ms)
+ * @property {number} WEBSOCKET_CONNECT_TIMEOUT - Max time to establish WebSocket connection (ms)
+ * @property {number} WEBSOCKET_PING_INTERVAL - Interval between WebSocket ping frames (ms)
+ * @property {number} WEBSOCKET_PONG_TIMEOUT - Max time to wait for pong response (ms)
+ * @property {number} RECONNECT_DELAY - Initial delay before attempting WebSocket reconnection (ms)
+ * @property {number} RECONNECT_MAX_DELAY - Upper bound for the exponential reconnect backoff (ms)
+ * @property {number} INSTANCE_STATUS_POLL_INTERVAL - Interval for polling instance status (ms)
+ * @property {number} MANAGER_POLL_INTERVAL - Interval for polling manager definitions after a change (ms)
+ * @property {number} MANAGER_POLL_MAX_INTERVAL - Interval the manager poll slows to while nothing changes (ms)
+ * @property {number} COMMAND_RESPONSE_TIMEOUT - Max time to wait for an instance to answer a command (ms)
+ */
+const CONSTANTS = {
+  HTTP_MANAGER_TIMEOUT: 2000,
+  HTTP_INSTANCE_STATUS_TIMEOUT: 2000,
+  WEBSOCKET_CONNECT_TIMEOUT: 5000,
+  WEBSOCKET_PING_INTERVAL: 30000,
+  WEBSOCKET_PONG_TIMEOUT: 10000,
+  RECONNECT_DELAY: 3000,
+  RECONNECT_MAX_DELAY: 60000,
+  INSTANCE_STATUS_POLL_INTERVAL: 1000,
+  MANAGER_POLL_INTERVAL: 5000,
+  MANAGER_POLL_MAX_INTERVAL: 30000,
+  COMMAND_RESPONSE_TIMEOUT: 5000,
+}
+
+/**
+ * Config field for each timing constant, in the order shown in the config UI.
+ *
+ * @constant {Array<{key: string, id: string, label: string, tooltip: string, min: number, max: number}>}
+ */
+const TIMING_FIELDS = [
+  {
+    key: 'MANAGER_POLL_INTERVAL',
+    id: 'timing_manager_poll_interval',
+    label: 'Manager Poll Interval (ms)',
+    tooltip: 'How often channels, rules, variables and instances are fetched from the management service while they are changing or the service is unreachable',
+    min: 1000,
+    max: 300000,
+  },
+  {
+    key: 'MANAGER_POLL_MAX_INTERVAL',
+    id: 'timing_manager_poll_max_interval',
+    label: 'Maximum Manager Poll Interval (ms)',
+    tooltip: 'Polling gradually slows to this interval while nothing changes, and returns to the interval above as soon as something does',
+    min: 1000,
+    max: 600000,
+  },
+  {
+    key: 'HTTP_MANAGER_TIMEOUT',
+    id: 'timing_http_manager_timeout',
+    label: 'Manager Request Timeout (ms)',
+    tooltip: 'How long to wait for the management service before trying the next one or using the cache',
+    min: 250,
+    max: 60000,
+  },
+  {
+    key: 'INSTANCE_STATUS_POLL_INTERVAL',
+    id: 'timing_instance_status_poll_interval',
+    label: 'Instance Status Poll Interval (ms)',
+    tooltip: 'How often each instance is asked for its status and Primary flag. Lower values detect failover sooner.',
+    min: 250,
+    max: 60000,
+  },
+  {
+    key: 'HTTP_INSTANCE_STATUS_TIMEOUT',
+    id: 'timing_http_instance_status_timeout',
+    label: 'Instance Status Timeout (ms)',
+    tooltip: 'How long to wait for an instance status response before counting the poll as failed',
+    min: 250,
+    max: 60000,
+  },
+  {
+    key: 'WEBSOCKET_CONNECT_TIMEOUT',
+    id: 'timing_websocket_connect_timeout',
+    label: 'WebSocket Connect Timeout (ms)',
+    tooltip: 'How long a control interface connection may take to open before it is abandoned and retried',
+    min: 500,
+    max: 60000,
+  },
+  {
+    key: 'WEBSOCKET_PING_INTERVAL',
+    id: 'timing_websocket_ping_interval',
+    label: 'WebSocket Ping Interval (ms)',
+    tooltip: 'How often connected instances are pinged to detect connections that died silently',
+    min: 1000,
+    max: 300000,
+  },
+  {
+    key: 'WEBSOCKET_PONG_TIMEOUT',
+    id: 'timing_websocket_pong_timeout',
+    label: 'WebSocket Pong Timeout (ms)',
+    tooltip: 'How long to wait for a ping to be answered before the connection is closed. Never longer than the ping interval.',
+    min: 500,
+    max: 300000,
+  },
+  {
+    key: 'RECONNECT_DELAY',
+    id: 'timing_reconnect_delay',
+    label: 'Initial Reconnect Delay (ms)',
+    tooltip: 'Wait before the first reconnect attempt; doubled after each failed attempt',
+    min: 250,
+    max: 60000,
+  },
+  {
+    key: 'RECONNECT_MAX_DELAY',
+    id: 'timing_reconnect_max_delay',
+    label: 'Maximum Reconnect Delay (ms)',
+    tooltip: 'Longest wait between reconnect attempts',
+    min: 1000,
+    max: 600000,
+  },
+  {
+    key: 'COMMAND_RESPONSE_TIMEOUT',
+    id: 'timing_command_response_timeout',
+    label: 'Command Response Timeout (ms)',
+    tooltip: 'How long to wait for an instance to accept or reject a command before reporting no reply',
+    min: 250,
+    max: 60000,
+  },
+]
+
+/**
+ * Builds the timing constants for a config, falling back to the defaults for
+ * fields that are unset or not numbers.
+ *
+ * @param {object} config - Module config
+ * @returns {typeof CONSTANTS} Timing constants
+ */
+function getTimingConstants(config) {
+  const constants = { ...CONSTANTS }
+
+  for (const field of TIMING_FIELDS) {
+    const value = Number(config?.[field.id])
+    if (config?.[field.id] === undefined || config[field.id] === '' || !Number.isFinite(value)) continue
+    constants[field.key] = Math.min(field.max, Math.max(field.min, Math.round(value)))
+  }
+
+  // A pong can't be awaited past the next ping, which treats it as missed anyway
+  constants.WEBSOCKET_PONG_TIMEOUT = Math.min(constants.WEBSOCKET_PONG_TIMEOUT, constants.WEBSOCKET_PING_INTERVAL)
+
+  return constants
+}
+
+module.exports = {
+  CONSTANTS,
+  TIMING_FIELDS,
+  getTimingConstants,
+}
@@ -1,3 +1,27 @@
+/**
+ * @fileoverview Upgrade scripts for configs, actions and feedbacks saved by
+ * earlier versions of the module
+ *
+ * @module companion-module-middleman-adit/upgrades
+ */
+
+// Actions that gained a channel option when multi-channel support was added
+const CHANNEL_ACTIONS = ['set_variable_value', 'evaluate_manual_rule']
+
+/**
+ * Parses a JSON config field, returning undefined when it isn't valid JSON.
+ *
+ * @param {string} value - Config field value
+ * @returns {any} Parsed value
+ */
+function parseJson(value) {
+	try {
+		return JSON.parse(value)
+	} catch {
+		return undefined
+	}
+}
+
 module.exports = [
 	function (context, props) {
 		// This is a placeholder than now cannot be used/removed
@@ -7,4 +31,65 @@ module.exports = [
 			updatedFeedbacks: [],
 		}
 	},
+
+	/**
+	 * Multi-channel support: per-channel state moves into JSON objects keyed
+	 * by channel GUID, and actions that send commands get the channel they
+	 * were created for, so they keep targeting it when channels are added.
+	 */
+	function (context, props) {
+		const result = {
+			updatedConfig: null,
+			updatedActions: [],
+			updatedFeedbacks: [],
+		}
+
+		const config = props.config
+		const channel = config?.channel && config.channel !== 'none' ? config.channel : null
+
+		if (config) {
+			const updated = { ...config }
+
+			if (!Array.isArray(updated.additional_channels)) {
+				updated.additional_channels = []
+			}
+
+			// Single cache object → { [channelId]: cache }
+			const cache = parseJson(updated.definition_cache || '{}')
+			if (cache && typeof cache === 'object' && cache.channelId) {
+				updated.definition_cache = JSON.stringify({ [cache.channelId]: cache })
+			} else if (!cache || typeof cache !== 'object' || Array.isArray(cache)) {
+				updated.definition_cache = '{}'
+			}
+
+			// Pinned instance GUID → { [channelId]: instanceId }
+			const pinned = updated.pinned_primary
+			if (typeof pinned !== 'string' || !pinned.startsWith('{')) {
+				updated.pinned_primary = JSON.stringify(pinned && channel ? { [channel]: pinned } : {})
+			}
+
+			// Maintenance GUID list → { [channelId]: [instanceIds] }
+			const maintenance = parseJson(updated.maintenance_instances || '[]')
+			if (Array.isArray(maintenance)) {
+				updated.maintenance_instances = JSON.stringify(
+					maintenance.length > 0 && channel ? { [channel]: maintenance } : {},
+				)
+			} else if (!maintenance || typeof maintenance !== 'object') {
+				updated.maintenance_instances = '{}'
+			}
+
+			result.updatedConfig = updated
+		}
+
+		if (channel) {
+			for (const action of props.actions) {
+				if (CHANNEL_ACTIONS.includes(action.actionId) && action.options.channel === undefined) {
+					action.options.channel = channel
+					result.updatedActions.push(action)
+				}
+			}
+		}
+
+		return result
+	},
 ]
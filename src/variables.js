@@ -1,3 +1,18 @@
+/**
+ * @fileoverview Companion variable definitions
+ *
+ * Variable definitions are built by each channel's engine (instance state,
+ * command results and the channel's AdIT variables, prefixed for channels
+ * after the first) and combined here.
+ *
+ * @module companion-module-middleman-adit/variables
+ */
 module.exports = {
-	initVariables() {},
+	initVariables() {
+		const definitions = []
+		for (const engine of this.engines ?? []) {
+			definitions.push(...engine.getModuleVariableDefinitions())
+		}
+		this.setVariableDefinitions(definitions)
+	},
 }
@@ -18,10 +18,19 @@ const WebSocket = require('ws')
  * @param {string} url - WebSocket URL to connect to
  * @param {number} connectTimeout - Max ms to wait for connection to open
  * @param {object} callbacks - Event handlers: { onOpen, onClose, onMessage, onError, onPong }
+ * @param {import('./api').ConnectionOptions} [options] - TLS and authentication options
  * @returns {WebSocket} The WebSocket instance (caller stores this for later send/close)
  */
-function createWebSocket(url, connectTimeout, callbacks) {
-  const ws = new WebSocket(url)
+function createWebSocket(url, connectTimeout, callbacks, options = {}) {
+  const wsOptions = {
+    headers: options.headers ?? {},
+    rejectUnauthorized: options.rejectUnauthorized !== false,
+  }
+  if (options.ca) {
+    wsOptions.ca = options.ca
+  }
+
+  const ws = new WebSocket(url, wsOptions)
 
   // Connection timeout: if we don't reach OPEN state in time, kill it.
   // This catches cases where the TCP connection hangs without erroring.
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { adjustValue } = require('../src/adjust')
+
+describe('adjustValue', () => {
+	describe('add and subtract', () => {
+		it('adds and subtracts, keeping the decimal places given', () => {
+			assert.deepEqual(adjustValue('add', '10', { amount: '5' }), { value: '15' })
+			assert.deepEqual(adjustValue('subtract', '10', { amount: '2.5' }), { value: '7.5' })
+			assert.deepEqual(adjustValue('add', '2.50', { amount: '1' }), { value: '3.50' })
+			assert.deepEqual(adjustValue('add', ' 4 ', { amount: '-1' }), { value: '3' })
+		})
+
+		it('clamps to the limits, treating a blank limit as none', () => {
+			assert.deepEqual(adjustValue('add', '9', { amount: '5', min: '0', max: '10' }), { value: '10' })
+			assert.deepEqual(adjustValue('subtract', '1', { amount: '5', min: '0', max: '' }), { value: '0' })
+			assert.deepEqual(adjustValue('add', '9', { amount: '5', min: '', max: ' ' }), { value: '14' })
+		})
+
+		it('rejects values, amounts and limits that are not plain numbers', () => {
+			for (const [current, options] of [
+				['00:02:00', { amount: '1' }],
+				['', { amount: '1' }],
+				['10', { amount: '1e999' }],
+				['10', { amount: 'five' }],
+				['10', { amount: '1', max: 'ten' }],
+			]) {
+				assert.ok(adjustValue('add', current, options).error, `${current} ${JSON.stringify(options)}`)
+			}
+		})
+
+		it('rejects a minimum above the maximum', () => {
+			assert.deepEqual(adjustValue('add', '5', { amount: '1', min: '10', max: '0' }), {
+				error: 'min 10 is greater than max 0',
+			})
+		})
+	})
+
+	it('toggles between two values, starting from the first', () => {
+		const options = { value_a: 'on', value_b: 'off' }
+		assert.deepEqual(adjustValue('toggle', 'on', options), { value: 'off' })
+		assert.deepEqual(adjustValue('toggle', 'off', options), { value: 'on' })
+		assert.deepEqual(adjustValue('toggle', 'unknown', options), { value: 'on' })
+	})
+
+	it('cycles through a list, wrapping around and starting from the first', () => {
+		const options = { values: 'a, b ,c,' }
+		assert.deepEqual(adjustValue('cycle', 'a', options), { value: 'b' })
+		assert.deepEqual(adjustValue('cycle', 'c', options), { value: 'a' })
+		assert.deepEqual(adjustValue('cycle', 'x', options), { value: 'a' })
+		assert.ok(adjustValue('cycle', 'a', { values: ' , ' }).error)
+	})
+
+	it('appends text', () => {
+		assert.deepEqual(adjustValue('append', 'ab', { text: 'c' }), { value: 'abc' })
+		assert.deepEqual(adjustValue('append', 'ab', {}), { value: 'ab' })
+	})
+
+	it('rejects unknown operations', () => {
+		assert.ok(adjustValue('multiply', '1', {}).error)
+	})
+})
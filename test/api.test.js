@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const api = require('../src/api')
+
+describe('api.formatHost', () => {
+	it('leaves host names and IPv4 addresses unchanged', () => {
+		assert.equal(api.formatHost('adit.local'), 'adit.local')
+		assert.equal(api.formatHost(' 10.0.0.1 '), '10.0.0.1')
+	})
+
+	it('wraps IPv6 addresses in brackets once', () => {
+		assert.equal(api.formatHost('fd00::1'), '[fd00::1]')
+		assert.equal(api.formatHost('[fd00::1]'), '[fd00::1]')
+	})
+})
+
+describe('api.parseHostPort', () => {
+	it('splits host:port and defaults the port', () => {
+		assert.deepEqual(api.parseHostPort('adit.local:8001', 8000), { host: 'adit.local', port: '8001' })
+		assert.deepEqual(api.parseHostPort('10.0.0.1', 8000), { host: '10.0.0.1', port: '8000' })
+	})
+
+	it('handles bracketed IPv6 with and without a port', () => {
+		assert.deepEqual(api.parseHostPort('[fd00::1]:8001', 8000), { host: 'fd00::1', port: '8001' })
+		assert.deepEqual(api.parseHostPort('[fd00::1]', 8000), { host: 'fd00::1', port: '8000' })
+	})
+
+	it('treats a bare IPv6 address as a host without a port', () => {
+		assert.deepEqual(api.parseHostPort('fd00::1', 8000), { host: 'fd00::1', port: '8000' })
+	})
+})
+
+describe('api.isValidHost', () => {
+	it('accepts host names, IPv4 and IPv6 addresses', () => {
+		for (const host of ['adit.local', 'adit', '10.0.0.1', 'fd00::1', '::1']) {
+			assert.equal(api.isValidHost(host), true, host)
+		}
+	})
+
+	it('rejects impossible IPv6 addresses, zone indices and stray brackets', () => {
+		for (const host of [':::::', '1:2:3:4:5:6:7:8:9:10', 'fe80::1%eth0', '[fd00::1', 'fd00::1]', '']) {
+			assert.equal(api.isValidHost(host), false, host)
+		}
+	})
+
+	it('rejects what parseHostPort returns for an unbalanced bracket', () => {
+		assert.equal(api.isValidHost(api.parseHostPort('[fd00::1', 8000).host), false)
+	})
+})
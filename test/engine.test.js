@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const Engine = require('../src/engine')
+
+// AdIT status codes, see STATUS_NAMES in src/engine.js
+const IDLE = 2
+const RUNNING = 3
+
+/**
+ * Builds an engine for a single channel with a stand-in for the module.
+ *
+ * @param {string} [policy] - split_brain_policy config value
+ * @returns {{engine: Engine, logs: string[]}} Engine and the messages it logged
+ */
+function createEngine(policy) {
+	const logs = []
+	const module = {
+		config: { split_brain_policy: policy },
+		engines: [],
+		getChannelIds: () => ['ch1'],
+		getChannelNumber: () => undefined,
+		log: (level, message) => logs.push(`${level}: ${message}`),
+		checkFeedbacks: () => {},
+		setVariableValues: () => {},
+	}
+	return { engine: new Engine(module, {}), logs }
+}
+
+/**
+ * Builds the instance state _resolveSplitBrain looks at.
+ *
+ * @param {string} id - Instance GUID
+ * @param {number} [lastStatus] - Last AdIT status code
+ * @returns {object} InstanceState-like object
+ */
+function instance(id, lastStatus = RUNNING) {
+	return { id, name: id, lastStatus }
+}
+
+describe('Engine._resolveSplitBrain', () => {
+	const a = instance('a')
+	const b = instance('b')
+
+	it('keeps the current primary by default when it still reports primary', () => {
+		const { engine } = createEngine()
+		engine.effectivePrimaryId = 'b'
+		engine._resolveSplitBrain(b, [a, b])
+		assert.equal(engine.effectivePrimaryId, 'b')
+	})
+
+	it('falls back to manager order when the current primary is not reporting', () => {
+		const { engine } = createEngine('sticky')
+		const c = instance('c')
+		engine.effectivePrimaryId = 'c'
+		engine._resolveSplitBrain(c, [a, b])
+		assert.equal(engine.effectivePrimaryId, 'a')
+	})
+
+	it('always picks the first reporting instance with manager_order', () => {
+		const { engine } = createEngine('manager_order')
+		engine.effectivePrimaryId = 'b'
+		engine._resolveSplitBrain(b, [a, b])
+		assert.equal(engine.effectivePrimaryId, 'a')
+	})
+
+	it('prefers a Running instance with running', () => {
+		const { engine } = createEngine('running')
+		const idle = instance('idle', IDLE)
+		engine.effectivePrimaryId = 'idle'
+		engine._resolveSplitBrain(idle, [idle, a])
+		assert.equal(engine.effectivePrimaryId, 'a')
+	})
+
+	it('keeps the current primary with running when none is Running', () => {
+		const { engine } = createEngine('running')
+		const idle1 = instance('idle1', IDLE)
+		const idle2 = instance('idle2', IDLE)
+		engine.effectivePrimaryId = 'idle2'
+		engine._resolveSplitBrain(idle2, [idle1, idle2])
+		assert.equal(engine.effectivePrimaryId, 'idle2')
+	})
+
+	it('has no effective primary with refuse', () => {
+		const { engine, logs } = createEngine('refuse')
+		engine.effectivePrimaryId = 'a'
+		engine._resolveSplitBrain(a, [a, b])
+		assert.equal(engine.effectivePrimaryId, null)
+		assert.ok(logs.some((line) => line.startsWith('error: Split-brain policy is refuse')))
+	})
+})
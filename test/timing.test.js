@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { CONSTANTS, TIMING_FIELDS, getTimingConstants } = require('../src/timing')
+
+describe('getTimingConstants', () => {
+	it('returns the defaults for an empty or missing config', () => {
+		assert.deepEqual(getTimingConstants({}), CONSTANTS)
+		assert.deepEqual(getTimingConstants(undefined), CONSTANTS)
+	})
+
+	it('ignores values that are unset, empty or not numbers', () => {
+		const constants = getTimingConstants({
+			timing_manager_poll_interval: '',
+			timing_reconnect_delay: 'soon',
+		})
+		assert.equal(constants.MANAGER_POLL_INTERVAL, CONSTANTS.MANAGER_POLL_INTERVAL)
+		assert.equal(constants.RECONNECT_DELAY, CONSTANTS.RECONNECT_DELAY)
+	})
+
+	it('clamps every field to its bounds', () => {
+		for (const field of TIMING_FIELDS) {
+			// The pong timeout is also capped by the (default) ping interval
+			const max = field.key === 'WEBSOCKET_PONG_TIMEOUT' ? CONSTANTS.WEBSOCKET_PING_INTERVAL : field.max
+			assert.equal(getTimingConstants({ [field.id]: 0 })[field.key], field.min, `${field.id} min`)
+			assert.equal(getTimingConstants({ [field.id]: 1e9 })[field.key], max, `${field.id} max`)
+		}
+	})
+
+	it('rounds to whole milliseconds and accepts numeric strings', () => {
+		assert.equal(getTimingConstants({ timing_reconnect_delay: '1500.6' }).RECONNECT_DELAY, 1501)
+	})
+
+	it('never waits for a pong past the next ping', () => {
+		const constants = getTimingConstants({
+			timing_websocket_ping_interval: 5000,
+			timing_websocket_pong_timeout: 20000,
+		})
+		assert.equal(constants.WEBSOCKET_PONG_TIMEOUT, 5000)
+	})
+})
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const UpgradeScripts = require('../src/upgrades')
+
+// Multi-channel support
+const upgrade = UpgradeScripts[1]
+
+/**
+ * Runs the multi-channel upgrade on a config and actions.
+ *
+ * @param {object|null} config - Saved config
+ * @param {Array<object>} [actions] - Saved actions
+ * @returns {object} Upgrade result
+ */
+function run(config, actions = []) {
+	return upgrade({}, { config, actions, feedbacks: [] })
+}
+
+describe('multi-channel upgrade script', () => {
+	it('keys the single-channel cache, pin and maintenance list by channel', () => {
+		const cache = { channelId: 'ch1', rules: [] }
+		const { updatedConfig } = run({
+			channel: 'ch1',
+			definition_cache: JSON.stringify(cache),
+			pinned_primary: 'i1',
+			maintenance_instances: JSON.stringify(['i2']),
+		})
+
+		assert.deepEqual(updatedConfig.additional_channels, [])
+		assert.deepEqual(JSON.parse(updatedConfig.definition_cache), { ch1: cache })
+		assert.deepEqual(JSON.parse(updatedConfig.pinned_primary), { ch1: 'i1' })
+		assert.deepEqual(JSON.parse(updatedConfig.maintenance_instances), { ch1: ['i2'] })
+	})
+
+	it('leaves already-upgraded settings alone', () => {
+		const config = {
+			channel: 'ch1',
+			additional_channels: ['ch2'],
+			definition_cache: JSON.stringify({ ch1: { channelId: 'ch1' } }),
+			pinned_primary: JSON.stringify({ ch2: 'i3' }),
+			maintenance_instances: JSON.stringify({ ch2: ['i4'] }),
+		}
+		const { updatedConfig } = run({ ...config })
+
+		assert.deepEqual(updatedConfig, config)
+	})
+
+	it('drops per-channel state that has no channel to belong to', () => {
+		const { updatedConfig } = run({
+			channel: 'none',
+			definition_cache: 'not json',
+			pinned_primary: 'i1',
+			maintenance_instances: JSON.stringify(['i2']),
+		})
+
+		assert.equal(updatedConfig.definition_cache, '{}')
+		assert.equal(updatedConfig.pinned_primary, '{}')
+		assert.equal(updatedConfig.maintenance_instances, '{}')
+	})
+
+	it('gives command actions without a channel the configured channel', () => {
+		const actions = [
+			{ actionId: 'set_variable_value', options: { variable: 'v1' } },
+			{ actionId: 'evaluate_manual_rule', options: { messaging_rule: 'r1', channel: 'ch2' } },
+			{ actionId: 'reconnect_now', options: {} },
+		]
+		const { updatedActions } = run({ channel: 'ch1' }, actions)
+
+		assert.deepEqual(updatedActions, [{ actionId: 'set_variable_value', options: { variable: 'v1', channel: 'ch1' } }])
+	})
+
+	it('does nothing without a config', () => {
+		const result = run(null, [{ actionId: 'set_variable_value', options: {} }])
+		assert.deepEqual(result, { updatedConfig: null, updatedActions: [], updatedFeedbacks: [] })
+	})
+})